@@ -0,0 +1,13 @@
+/**
+ * HTTP API Configuration
+ * Reads from environment variables (loaded via dotenv)
+ */
+
+// Port for the local REST API, /metrics and /api/stream - all off unless this is set
+export const API_PORT = Number(process.env.API_PORT || 0);
+
+// Interface to bind - localhost only unless explicitly exposed
+export const API_HOST = process.env.API_HOST || '127.0.0.1';
+
+// Token required for admin endpoints (/api/users); admin endpoints are off if unset
+export const API_ADMIN_TOKEN = process.env.API_ADMIN_TOKEN || null;
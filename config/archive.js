@@ -0,0 +1,7 @@
+/**
+ * Observation Archive Configuration
+ * Reads from environment variables (loaded via dotenv)
+ */
+
+// How many days of readings to keep in the archive (0 = keep forever)
+export const ARCHIVE_RETENTION_DAYS = Number(process.env.ARCHIVE_RETENTION_DAYS || 0);
@@ -0,0 +1,10 @@
+/**
+ * Data Feed Health Configuration
+ * Reads from environment variables (loaded via dotenv)
+ */
+
+// A location's feed is stale once its latest observation is older than this
+export const STALE_AFTER_MINUTES = Number(process.env.STALE_AFTER_MINUTES || 90);
+
+// ...or after this many consecutive failed fetches
+export const STALE_AFTER_FAILURES = Number(process.env.STALE_AFTER_FAILURES || 3);
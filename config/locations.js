@@ -55,5 +55,8 @@ export const locations = [
   }
 ];
 
-export const API_BASE_URL = 'https://wundergroundapi-production.up.railway.app/api/weather/history';
+// Override with WEATHER_API_URL (e.g. the simulation's local stand-in server)
+export const API_BASE_URL = process.env.WEATHER_API_URL || 'https://wundergroundapi-production.up.railway.app/api/weather/history';
 
+// Raw METAR source (used by locations with provider: 'metar')
+export const METAR_API_URL = process.env.METAR_API_URL || 'https://aviationweather.gov/api/data/metar';
@@ -11,3 +11,10 @@ if (!TELEGRAM_BOT_TOKEN) {
   process.exit(1);
 }
 
+// Chat IDs allowed to run admin commands (/addmarket, /editmarket, /removemarket)
+// Comma-separated in ADMIN_CHAT_IDS, e.g. ADMIN_CHAT_IDS=12345,67890
+export const ADMIN_CHAT_IDS = (process.env.ADMIN_CHAT_IDS || '')
+  .split(',')
+  .map(id => id.trim())
+  .filter(id => id !== '')
+  .map(Number);
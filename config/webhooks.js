@@ -0,0 +1,21 @@
+/**
+ * Webhook Configuration
+ * Reads from environment variables (loaded via dotenv)
+ */
+
+// Endpoints that receive every alert as JSON
+// Comma-separated in WEBHOOK_URLS, e.g. WEBHOOK_URLS=https://a.example/hook,http://localhost:9000/alerts
+export const WEBHOOK_URLS = (process.env.WEBHOOK_URLS || '')
+  .split(',')
+  .map(url => url.trim())
+  .filter(url => url !== '');
+
+// Shared secret used to sign payloads (X-Signature header); unsigned if unset
+export const WEBHOOK_SECRET = process.env.WEBHOOK_SECRET || null;
+
+// Delivery attempts per alert per target, and the delay before the first retry (doubles each time)
+export const WEBHOOK_MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS || 5);
+export const WEBHOOK_RETRY_DELAY_MS = Number(process.env.WEBHOOK_RETRY_DELAY_MS || 2000);
+
+// Per-request timeout
+export const WEBHOOK_TIMEOUT_MS = Number(process.env.WEBHOOK_TIMEOUT_MS || 10000);
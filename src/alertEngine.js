@@ -0,0 +1,287 @@
+/**
+ * Alert Engine
+ * The per-reading alert rules shared by live polling, backtests and simulations
+ *
+ * evaluateReading(previousState, reading, context) -> { state, alerts } has no I/O
+ * and never mutates its input, so the rules can be exercised in isolation.
+ *
+ * Rules (per location, per local day):
+ * - Only new observations are evaluated (see isNewObservation): fallback readings and
+ *   repeat polls of the last evaluated observation are skipped, live and in backtests
+ * - First reading sets the baseline silently
+ * - A reading above the day's high is a new high, once it has risen minRise over the last alerted high
+ * - The first fall of minDrop below the high, held for dropConfirmReadings readings, is a drop
+ *   (re-armed whenever the high moves up, even by a rise too small to alert)
+ * - Later observations repeating the high inside the attention zone are sustained highs
+ * - The running high moving into a higher bracket is a bracket crossing
+ * - A slope over the trailing window at or beyond rateThreshold is a rapid rise/fall
+ *   (re-armed once the slope eases), with the temp projected to the attention zone's end
+ *
+ * Users with their own hysteresis settings get separately gated new high/drop alerts
+ * (tagged with their chatId), tracked in state.userGates.
+ */
+
+import { findBracket, getBracketLabel } from './brackets.js';
+import { getHysteresis } from './hysteresis.js';
+import { getRateSettings, computeSlope, projectTemp, REARM_FRACTION } from './rateOfChange.js';
+import { parseTimeString } from './providers/utils.js';
+
+// Attention zone used until one is calculated from history (1PM-4PM local)
+export const DEFAULT_ATTENTION_ZONE = { startHour: 13, startMin: 0, endHour: 15, endMin: 59 };
+
+/**
+ * Empty state for a new local day
+ */
+export function createDayState() {
+  return {
+    highTemp: null,
+    hasAlertedDrop: false,
+    lastTemp: null,
+    history: []
+  };
+}
+
+/**
+ * Check whether a reading should go through evaluateReading
+ * Fallback readings (yesterday's data, served before today's first observation) and
+ * repeat polls of the observation evaluated last are skipped
+ * @param {object} state - Day state
+ * @param {object} reading - { isFallback?, observedAt? }
+ */
+export function isNewObservation(state, reading) {
+  if (reading.isFallback) return false;
+  if (!reading.observedAt) return true;
+  
+  const history = state?.history || [];
+  return history[history.length - 1]?.observedAt !== reading.observedAt;
+}
+
+/**
+ * Check if a local time of day (minutes since midnight) falls inside an attention zone
+ */
+export function isInAttentionZone(zone, minutesOfDay) {
+  const { startHour, startMin, endHour, endMin } = zone || DEFAULT_ATTENTION_ZONE;
+  return minutesOfDay >= startHour * 60 + startMin && minutesOfDay <= endHour * 60 + endMin;
+}
+
+/**
+ * Format minutes since midnight like the readings' local times ("3:59 PM")
+ */
+function formatMinutesOfDay(minutes) {
+  const hours = Math.floor(minutes / 60);
+  const period = hours >= 12 ? 'PM' : 'AM';
+  const hour12 = hours % 12 === 0 ? 12 : hours % 12;
+  return `${hour12}:${String(minutes % 60).padStart(2, '0')} ${period}`;
+}
+
+/**
+ * Check the trailing slope for a rapid rise/fall (updates state.rateAlerted)
+ * Returns an alert or null
+ */
+function checkRateOfChange(state, { temp, time, observedAt }, rate, zone) {
+  if (!(rate.rateThreshold > 0)) return null;
+  
+  const slope = computeSlope(state.history, observedAt, rate.rateWindowMinutes);
+  if (slope === null) return null;
+  
+  let direction = null;
+  if (slope >= rate.rateThreshold) direction = 'rise';
+  if (slope <= -rate.rateThreshold) direction = 'fall';
+  
+  if (!direction) {
+    if (state.rateAlerted && Math.abs(slope) < rate.rateThreshold * REARM_FRACTION) {
+      state.rateAlerted = null;
+    }
+    return null;
+  }
+  if (state.rateAlerted === direction) return null;
+  
+  state.rateAlerted = direction;
+  
+  // Where this slope would put the temperature by the end of the attention zone
+  const { endHour, endMin } = zone || DEFAULT_ATTENTION_ZONE;
+  const parsed = parseTimeString(time || '');
+  const zoneEnd = endHour * 60 + endMin;
+  const projected = parsed ? projectTemp(temp, slope, zoneEnd - (parsed.hours * 60 + parsed.minutes)) : null;
+  
+  return {
+    type: `rapid_${direction}`,
+    slope: Math.round(slope * 100) / 100,
+    windowMinutes: rate.rateWindowMinutes,
+    projected,
+    projectedTime: projected === null ? null : formatMinutesOfDay(zoneEnd)
+  };
+}
+
+/**
+ * Copy a day state so evaluation never mutates the caller's object
+ */
+function cloneState(state) {
+  const base = state || createDayState();
+  return {
+    ...base,
+    history: [...(base.history || [])],
+    ...(base.alerts ? { alerts: [...base.alerts] } : {}),
+    ...(base.userGates ? { userGates: { ...base.userGates } } : {})
+  };
+}
+
+/**
+ * Apply new high/drop hysteresis for one set of settings
+ * gate: { lastHighAlertTemp, hasAlertedDrop, dropStreak } - updated in place
+ * @returns {object|null} { type: 'new_high', prevHigh } | { type: 'drop' } | null
+ */
+function stepGate(gate, temp, high, { minRise, minDrop, dropConfirmReadings }) {
+  // Rises are measured from the last high we alerted on
+  const reference = gate.lastHighAlertTemp ?? high;
+  
+  if (temp > high) {
+    // A higher high is a fresh peak to drop from, alerted or not
+    gate.dropStreak = 0;
+    gate.hasAlertedDrop = false;
+    if (temp > reference && temp - reference >= minRise) {
+      gate.lastHighAlertTemp = temp;
+      return { type: 'new_high', prevHigh: reference };
+    }
+    return null;
+  }
+  
+  if (temp < high && high - temp >= minDrop) {
+    gate.dropStreak = (gate.dropStreak || 0) + 1;
+    if (!gate.hasAlertedDrop && gate.dropStreak >= dropConfirmReadings) {
+      gate.hasAlertedDrop = true;
+      return { type: 'drop' };
+    }
+    return null;
+  }
+  
+  gate.dropStreak = 0;
+  return null;
+}
+
+/**
+ * Evaluate one reading against a location's day state
+ * Pure: returns a new state and the alerts the reading triggers, leaving previousState untouched
+ * @param {object} previousState - Day state (see createDayState)
+ * @param {object} reading - { temp (°C), time: 'h:mm A', date: 'YYYY-MM-DD', timestamp: ISO string, observedAt?: ISO string }
+ * @param {object} context - { location, inAttentionZone, zone?, hysteresis?, rate?, overrides?: { chatId: hysteresis } }
+ * @returns {object} { state, alerts: [{ type, location, temp, ..., time, timestamp, date, chatId? }] }
+ */
+export function evaluateReading(previousState, reading, context) {
+  const { location, inAttentionZone, overrides = {} } = context;
+  const hysteresis = context.hysteresis || getHysteresis(location);
+  const rate = context.rate || getRateSettings(location);
+  const { time, date, timestamp } = reading;
+  const observedAt = reading.observedAt || null;
+  const temp = Number(reading.temp);
+  
+  // Unusable reading - nothing changes
+  if (reading.temp === null || reading.temp === undefined || isNaN(temp)) {
+    return { state: previousState, alerts: [] };
+  }
+  
+  const state = cloneState(previousState);
+  const alerts = [];
+  
+  // First reading of the day - establish baseline silently
+  if (state.highTemp === null || state.highTemp === undefined) {
+    state.highTemp = temp;
+    state.lastTemp = temp;
+    state.hasAlertedDrop = false;
+    state.lastHighAlertTemp = temp;
+    state.bracketIndex = findBracket(location, temp)?.index ?? null;
+    state.history.push({ temp, time, timestamp, observedAt });
+    return { state, alerts };
+  }
+  
+  const base = { location, time, timestamp, date };
+  
+  // Ensure highTemp is a number for comparison
+  const highTempNum = Number(state.highTemp);
+  
+  // New high/drop for everyone on the location's settings (the gate fields live on the state)
+  const signal = isNaN(highTempNum) ? null : stepGate(state, temp, highTempNum, hysteresis);
+  
+  // The tracked high always follows the readings, even when the rise is too small to alert
+  if (!isNaN(highTempNum) && temp > highTempNum) {
+    state.highTemp = temp;
+    state.sustainedHighCount = 1; // Reset sustained count for new high
+  }
+  
+  if (signal?.type === 'new_high') {
+    alerts.push({ type: 'new_high', ...base, temp, prevHigh: signal.prevHigh });
+  }
+  else if (signal?.type === 'drop') {
+    state.sustainedHighCount = 0; // Reset sustained count on drop
+    
+    alerts.push({ type: 'drop', ...base, temp, high: highTempNum });
+  }
+  // Check for sustained high during attention zone (temp equals current high)
+  else if (inAttentionZone && !isNaN(highTempNum) && temp === highTempNum && !state.hasAlertedDrop) {
+    // Initialize if not set
+    if (!state.sustainedHighCount) state.sustainedHighCount = 1;
+    
+    // Increment sustained count
+    state.sustainedHighCount++;
+    
+    // Alert for sustained highs (2nd occurrence and beyond)
+    if (state.sustainedHighCount >= 2) {
+      alerts.push({ type: 'sustained_high', ...base, temp, count: state.sustainedHighCount });
+    }
+  }
+  
+  // Check if the running high moved into a new bracket
+  const bracket = findBracket(location, state.highTemp);
+  if (bracket) {
+    const prevIndex = state.bracketIndex;
+    if (prevIndex !== undefined && prevIndex !== null && bracket.index > prevIndex) {
+      alerts.push({
+        type: 'bracket_cross',
+        ...base,
+        temp: Number(state.highTemp),
+        bracket: bracket.label,
+        prevBracket: getBracketLabel(location, prevIndex)
+      });
+    }
+    state.bracketIndex = bracket.index;
+  }
+  
+  // Separately gated new high/drop alerts for users with their own settings
+  const userAlerts = [];
+  if (!isNaN(highTempNum)) {
+    for (const [chatId, settings] of Object.entries(overrides)) {
+      // Users first seen mid-day start from the location's gate
+      const gate = { ...(state.userGates?.[chatId] || {
+        lastHighAlertTemp: highTempNum,
+        hasAlertedDrop: previousState.hasAlertedDrop
+      }) };
+      const userSignal = stepGate(gate, temp, highTempNum, settings);
+      
+      state.userGates = { ...state.userGates, [chatId]: gate };
+      if (userSignal?.type === 'new_high') {
+        userAlerts.push({ type: 'new_high', ...base, temp, prevHigh: userSignal.prevHigh, chatId: Number(chatId) });
+      } else if (userSignal?.type === 'drop') {
+        userAlerts.push({ type: 'drop', ...base, temp, high: highTempNum, chatId: Number(chatId) });
+      }
+    }
+  }
+  
+  state.lastTemp = temp;
+  state.history.push({ temp, time, timestamp, observedAt });
+  
+  // Rapid rise/fall over the trailing window (including this reading)
+  const rateAlert = checkRateOfChange(state, { temp, time, observedAt: observedAt || timestamp }, rate, context.zone);
+  if (rateAlert) {
+    alerts.push({ ...rateAlert, ...base, temp });
+  }
+  
+  // Log fired alerts for /history (per-user alerts aren't part of the market's record)
+  if (alerts.length > 0) {
+    state.alerts = state.alerts || [];
+    alerts.forEach(alert => {
+      state.alerts.push({ type: alert.type, temp: alert.temp, time });
+    });
+  }
+  
+  return { state, alerts: [...alerts, ...userAlerts] };
+}
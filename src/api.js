@@ -0,0 +1,261 @@
+/**
+ * HTTP API
+ * Local REST API exposing the same data the bot uses (readings, state, zones, users)
+ *
+ * All responses are JSON: { success: true, data } or { success: false, error }
+ */
+
+import http from 'http';
+import crypto from 'crypto';
+import moment from 'moment-timezone';
+import { locations } from '../config/locations.js';
+import { API_PORT, API_HOST, API_ADMIN_TOKEN } from '../config/api.js';
+import { hasLocationState, loadLocationState, loadUsers } from './state.js';
+import { getCurrentReadings, getAllAttentionZones, getSustainedHighStats } from './weather.js';
+import { getDayHistory, getReadings } from './archive.js';
+import { subscribeEvents } from './events.js';
+import { renderMetrics } from './metrics.js';
+import { nowDate, nowMoment } from './clock.js';
+
+// Keep idle stream connections alive through proxies
+const STREAM_HEARTBEAT_MS = 25000;
+
+const STREAM_EVENT_TYPES = ['reading', 'alert'];
+
+let server = null;
+
+/**
+ * Send a JSON response
+ */
+function sendJson(res, status, body) {
+  const payload = JSON.stringify(body);
+  res.writeHead(status, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Content-Length': Buffer.byteLength(payload)
+  });
+  res.end(payload);
+}
+
+/**
+ * Successful result
+ */
+function ok(data) {
+  return { status: 200, body: { success: true, data } };
+}
+
+/**
+ * Error result
+ */
+function fail(status, error) {
+  return { status, body: { success: false, error } };
+}
+
+/**
+ * Check the admin token from "Authorization: Bearer <token>" or "X-Admin-Token"
+ */
+function isAdminRequest(req) {
+  if (!API_ADMIN_TOKEN) return false;
+  
+  const header = req.headers.authorization || '';
+  const provided = header.startsWith('Bearer ') ? header.slice(7) : (req.headers['x-admin-token'] || '');
+  
+  const expected = Buffer.from(API_ADMIN_TOKEN);
+  const actual = Buffer.from(String(provided));
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+/**
+ * Find a location or return null
+ */
+function findLocation(locationId) {
+  return locations.find(l => l.id === locationId) || null;
+}
+
+/**
+ * Validate a YYYY-MM-DD date parameter
+ */
+function isValidDate(date) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(date) && moment(date, 'YYYY-MM-DD', true).isValid();
+}
+
+// Route table: [method, path pattern, handler({ params, query, req })]
+const routes = [
+  ['GET', /^\/api\/locations$/, () => ok(locations)],
+  
+  ['GET', /^\/api\/readings$/, () => ok(getCurrentReadings())],
+  
+  ['GET', /^\/api\/readings\/([\w-]+)$/, ({ params }) => {
+    const reading = getCurrentReadings()[params[0]];
+    return reading ? ok(reading) : fail(404, `No reading for "${params[0]}"`);
+  }],
+  
+  ['GET', /^\/api\/zones$/, () => {
+    const zones = getAllAttentionZones();
+    const data = {};
+    for (const location of locations) {
+      data[location.id] = {
+        ...(zones[location.id] || {}),
+        sustainedHighStats: getSustainedHighStats(location.id)
+      };
+    }
+    return ok(data);
+  }],
+  
+  ['GET', /^\/api\/state\/([\w-]+)\/(\d{4}-\d{2}-\d{2})$/, ({ params }) => {
+    const [locationId, date] = params;
+    if (!findLocation(locationId)) return fail(404, `Unknown location "${locationId}"`);
+    if (!isValidDate(date)) return fail(400, 'Invalid date');
+    if (!hasLocationState(locationId, date)) return fail(404, `No state for ${locationId} on ${date}`);
+    return ok(loadLocationState(locationId, date));
+  }],
+  
+  ['GET', /^\/api\/history\/([\w-]+)$/, ({ params, query }) => {
+    const location = findLocation(params[0]);
+    if (!location) return fail(404, `Unknown location "${params[0]}"`);
+    
+    const date = query.get('date') || nowMoment(location.timezone).format('YYYY-MM-DD');
+    if (!isValidDate(date)) return fail(400, 'Invalid date');
+    
+    return ok({ date, ...getDayHistory(location, date) });
+  }],
+  
+  ['GET', /^\/api\/archive\/([\w-]+)$/, ({ params, query }) => {
+    const location = findLocation(params[0]);
+    if (!location) return fail(404, `Unknown location "${params[0]}"`);
+    
+    const from = query.get('from');
+    const to = query.get('to') || nowDate().toISOString();
+    if (!from || isNaN(new Date(from)) || isNaN(new Date(to))) {
+      return fail(400, 'Query parameters "from" (and optional "to") must be dates');
+    }
+    
+    return ok(getReadings(location.id, from, to));
+  }],
+  
+  ['GET', /^\/api\/users$/, ({ req }) => {
+    if (!API_ADMIN_TOKEN) return fail(403, 'Admin endpoints are disabled (API_ADMIN_TOKEN not set)');
+    if (!isAdminRequest(req)) return fail(401, 'Admin token required');
+    return ok(loadUsers());
+  }]
+];
+
+/**
+ * Parse a comma-separated query filter ("nyc,london") into a Set, or null for "all"
+ */
+function parseFilter(value) {
+  if (!value) return null;
+  const items = value.split(',').map(v => v.trim()).filter(v => v !== '');
+  return items.length > 0 ? new Set(items) : null;
+}
+
+/**
+ * Server-Sent Events stream of readings and alerts
+ * GET /api/stream?locations=nyc,london&types=alert
+ */
+function handleStream(req, res, query) {
+  const locationFilter = parseFilter(query.get('locations'));
+  const typeFilter = parseFilter(query.get('types'));
+  
+  const unknownType = typeFilter && [...typeFilter].find(type => !STREAM_EVENT_TYPES.includes(type));
+  if (unknownType) {
+    sendJson(res, 400, { success: false, error: `Unknown event type "${unknownType}"` });
+    return;
+  }
+  
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+  res.write(': connected\n\n');
+  
+  const unsubscribe = subscribeEvents((event) => {
+    if (locationFilter && !locationFilter.has(event.locationId)) return;
+    if (typeFilter && !typeFilter.has(event.type)) return;
+    
+    res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+  });
+  
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), STREAM_HEARTBEAT_MS);
+  
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+}
+
+/**
+ * Route a request to its handler
+ */
+function handleRequest(req, res) {
+  const url = new URL(req.url, 'http://localhost');
+  
+  // Prometheus scrape endpoint (plain text, not JSON)
+  if (url.pathname === '/metrics' && req.method === 'GET') {
+    const payload = renderMetrics();
+    res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+    res.end(payload);
+    return;
+  }
+  
+  // Long-lived stream is handled outside the JSON route table
+  if (url.pathname === '/api/stream' && req.method === 'GET') {
+    handleStream(req, res, url.searchParams);
+    return;
+  }
+  
+  for (const [method, pattern, handler] of routes) {
+    const match = url.pathname.match(pattern);
+    if (!match) continue;
+    
+    if (req.method !== method) {
+      sendJson(res, 405, { success: false, error: 'Method not allowed' });
+      return;
+    }
+    
+    try {
+      const { status, body } = handler({ params: match.slice(1), query: url.searchParams, req });
+      sendJson(res, status, body);
+    } catch (err) {
+      console.error(`❌ API error on ${url.pathname}:`, err.message);
+      sendJson(res, 500, { success: false, error: 'Internal error' });
+    }
+    return;
+  }
+  
+  sendJson(res, 404, { success: false, error: 'Not found' });
+}
+
+/**
+ * Start the HTTP API server
+ */
+export function startApiServer() {
+  if (!API_PORT) {
+    console.log('🌐 HTTP API disabled - /api, /metrics and /api/stream are off (set API_PORT to enable)');
+    return null;
+  }
+  
+  server = http.createServer(handleRequest);
+  
+  server.on('error', (err) => {
+    console.error(`❌ HTTP API error: ${err.message}`);
+  });
+  
+  server.listen(API_PORT, API_HOST, () => {
+    console.log(`🌐 HTTP API listening on http://${API_HOST}:${API_PORT}/api`);
+  });
+  
+  return server;
+}
+
+/**
+ * Stop the HTTP API server
+ */
+export function stopApiServer() {
+  if (server) {
+    server.close();
+    // Open event streams would otherwise keep the server alive
+    server.closeAllConnections();
+    server = null;
+  }
+}
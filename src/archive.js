@@ -0,0 +1,197 @@
+/**
+ * Observation Archive
+ * Long-term store of every observation per location, for statistics and backtesting
+ *
+ * Readings are appended as JSON lines to data/archive/{locationId}/{YYYY-MM}.jsonl:
+ *   { "ts": "2025-12-16T14:55:10.000Z", "temp": 24.5, "source": "wunderground",
+ *     "isFallback": false, "observedAt": "2025-12-16T14:51:00Z" }
+ *
+ * An observation polled several times is archived once, at its first poll.
+ * The per-day state files remain the hot state; this archive is append-only.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import moment from 'moment-timezone';
+import { DATA_DIR, hasLocationState, loadLocationState } from './state.js';
+import { ARCHIVE_RETENTION_DAYS } from '../config/archive.js';
+import { nowDate } from './clock.js';
+
+const ARCHIVE_DIR = path.join(DATA_DIR, 'archive');
+
+/**
+ * Get the archive directory for a location
+ */
+function getLocationDir(locationId) {
+  return path.join(ARCHIVE_DIR, locationId);
+}
+
+/**
+ * Get the archive file for a location and month ("YYYY-MM")
+ */
+function getMonthFilePath(locationId, month) {
+  return path.join(getLocationDir(locationId), `${month}.jsonl`);
+}
+
+/**
+ * Read all readings from an archive file
+ */
+function readArchiveFile(filePath) {
+  if (!fs.existsSync(filePath)) return [];
+  
+  const readings = [];
+  const lines = fs.readFileSync(filePath, 'utf8').split('\n');
+  
+  for (const line of lines) {
+    if (!line.trim()) continue;
+    try {
+      readings.push(JSON.parse(line));
+    } catch (err) {
+      // Skip a partially written line rather than losing the whole month
+    }
+  }
+  
+  return readings;
+}
+
+/**
+ * List the months ("YYYY-MM") between two dates, inclusive
+ */
+function monthsBetween(from, to) {
+  const months = [];
+  const cursor = new Date(Date.UTC(from.getUTCFullYear(), from.getUTCMonth(), 1));
+  
+  while (cursor <= to) {
+    months.push(cursor.toISOString().slice(0, 7));
+    cursor.setUTCMonth(cursor.getUTCMonth() + 1);
+  }
+  
+  return months;
+}
+
+// Last archived observation time per location (seeded from the month file on first use)
+const lastObservedAt = new Map();
+
+/**
+ * Get the observation time of the last reading archived for a location
+ */
+function getLastObservedAt(locationId, month) {
+  if (!lastObservedAt.has(locationId)) {
+    const readings = readArchiveFile(getMonthFilePath(locationId, month));
+    lastObservedAt.set(locationId, readings[readings.length - 1]?.observedAt || null);
+  }
+  return lastObservedAt.get(locationId);
+}
+
+/**
+ * Append a reading to the archive
+ * Polls that return the same observation as the last archived one are skipped
+ * @param {string} locationId
+ * @param {object} reading - { temp, source, isFallback, observedAt, ts? }
+ * @returns {boolean} true if the reading was appended
+ */
+export function archiveReading(locationId, reading) {
+  const ts = reading.ts || nowDate().toISOString();
+  const month = ts.slice(0, 7);
+  
+  if (reading.observedAt && reading.observedAt === getLastObservedAt(locationId, month)) {
+    return false;
+  }
+  
+  const entry = {
+    ts,
+    temp: reading.temp,
+    source: reading.source || null,
+    isFallback: reading.isFallback || false,
+    observedAt: reading.observedAt || null
+  };
+  
+  try {
+    fs.mkdirSync(getLocationDir(locationId), { recursive: true });
+    fs.appendFileSync(getMonthFilePath(locationId, month), JSON.stringify(entry) + '\n');
+    lastObservedAt.set(locationId, entry.observedAt);
+    return true;
+  } catch (err) {
+    console.error(`Error archiving reading for ${locationId}:`, err.message);
+    return false;
+  }
+}
+
+/**
+ * Get archived readings for a location between two times (inclusive)
+ * @param {string} locationId
+ * @param {Date|string} from
+ * @param {Date|string} to - defaults to now
+ * @returns {Array} readings sorted by timestamp
+ */
+export function getReadings(locationId, from, to = nowDate()) {
+  const fromDate = new Date(from);
+  const toDate = new Date(to);
+  
+  if (isNaN(fromDate) || isNaN(toDate) || fromDate > toDate) return [];
+  
+  const readings = [];
+  for (const month of monthsBetween(fromDate, toDate)) {
+    for (const reading of readArchiveFile(getMonthFilePath(locationId, month))) {
+      const ts = new Date(reading.ts);
+      if (ts >= fromDate && ts <= toDate) {
+        readings.push(reading);
+      }
+    }
+  }
+  
+  return readings.sort((a, b) => a.ts.localeCompare(b.ts));
+}
+
+/**
+ * Load a day's readings and alert log for a location
+ * Uses the per-day state file, or the archive once that has been cleaned up
+ */
+export function getDayHistory(location, date) {
+  if (hasLocationState(location.id, date)) {
+    const state = loadLocationState(location.id, date);
+    return { history: state.history || [], alerts: state.alerts || [] };
+  }
+  
+  const start = moment.tz(date, location.timezone).startOf('day');
+  const readings = getReadings(location.id, start.toDate(), start.clone().endOf('day').toDate());
+  
+  return {
+    history: readings.map(r => ({
+      temp: r.temp,
+      time: moment(r.ts).tz(location.timezone).format('h:mm A')
+    })),
+    alerts: null // Alert log isn't archived
+  };
+}
+
+/**
+ * Apply the retention policy (ARCHIVE_RETENTION_DAYS, 0 = keep forever)
+ * Deletes whole months past the cutoff and trims the month the cutoff falls in
+ */
+export function pruneArchive(retentionDays = ARCHIVE_RETENTION_DAYS) {
+  if (!retentionDays || retentionDays <= 0 || !fs.existsSync(ARCHIVE_DIR)) return;
+  
+  const cutoff = new Date(nowDate().getTime() - retentionDays * 24 * 60 * 60 * 1000);
+  const cutoffMonth = cutoff.toISOString().slice(0, 7);
+  
+  for (const locationId of fs.readdirSync(ARCHIVE_DIR)) {
+    const locationDir = getLocationDir(locationId);
+    if (!fs.statSync(locationDir).isDirectory()) continue;
+    
+    for (const file of fs.readdirSync(locationDir)) {
+      const match = file.match(/^(\d{4}-\d{2})\.jsonl$/);
+      if (!match) continue;
+      
+      const filePath = path.join(locationDir, file);
+      
+      if (match[1] < cutoffMonth) {
+        fs.unlinkSync(filePath);
+        console.log(`🗑️ Pruned archive: ${locationId}/${file}`);
+      } else if (match[1] === cutoffMonth) {
+        const kept = readArchiveFile(filePath).filter(r => new Date(r.ts) >= cutoff);
+        fs.writeFileSync(filePath, kept.map(r => JSON.stringify(r) + '\n').join(''));
+      }
+    }
+  }
+}
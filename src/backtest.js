@@ -0,0 +1,238 @@
+/**
+ * Backtest / Replay
+ * Replays archived or fetched historical readings through the alert engine on a simulated clock
+ *
+ * Usage:
+ *   node src/backtest.js <location> <from> [to] [--source archive|fetch] [--zone 13:00-16:00] [--out file.json]
+ *
+ * Each reading is processed as if the clock were at its timestamp. Nothing is sent
+ * to Telegram or webhooks; the alerts that would have fired are written to a JSON file.
+ */
+
+import 'dotenv/config';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import moment from 'moment-timezone';
+import { locations } from '../config/locations.js';
+import { initMarkets } from './markets.js';
+import { DATA_DIR } from './state.js';
+import { getReadings } from './archive.js';
+import { getProvider } from './providers/index.js';
+import { parseTimeString } from './providers/utils.js';
+import { evaluateReading, isNewObservation, createDayState, isInAttentionZone, DEFAULT_ATTENTION_ZONE } from './alertEngine.js';
+
+const BACKTEST_DIR = path.join(DATA_DIR, 'backtests');
+
+/**
+ * Parse command line arguments
+ */
+function parseArgs(argv) {
+  const positional = [];
+  const options = { source: 'archive', zone: null, out: null };
+  
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--source' || arg === '--zone' || arg === '--out') {
+      options[arg.slice(2)] = argv[++i];
+    } else {
+      positional.push(arg);
+    }
+  }
+  
+  const [locationId, from, to = from] = positional;
+  return { locationId, from, to, ...options };
+}
+
+/**
+ * Parse a zone argument like "13:00-16:30"
+ */
+function parseZone(value) {
+  const match = value?.match(/^(\d{1,2}):(\d{2})-(\d{1,2}):(\d{2})$/);
+  if (!match) return null;
+  
+  return {
+    startHour: parseInt(match[1], 10),
+    startMin: parseInt(match[2], 10),
+    endHour: parseInt(match[3], 10),
+    endMin: parseInt(match[4], 10)
+  };
+}
+
+/**
+ * Local dates from..to inclusive
+ */
+function datesBetween(from, to) {
+  const dates = [];
+  const current = moment(from, 'YYYY-MM-DD');
+  const end = moment(to, 'YYYY-MM-DD');
+  
+  while (current.isSameOrBefore(end, 'day')) {
+    dates.push(current.format('YYYY-MM-DD'));
+    current.add(1, 'day');
+  }
+  
+  return dates;
+}
+
+/**
+ * Load a day's readings from the observation archive
+ * Returns: [{ timestamp, temp, observedAt, isFallback }]
+ */
+function loadArchivedDay(location, date) {
+  const start = moment.tz(date, location.timezone).startOf('day');
+  
+  return getReadings(location.id, start.toDate(), start.clone().endOf('day').toDate())
+    .map(reading => ({
+      timestamp: reading.ts,
+      temp: reading.temp,
+      observedAt: reading.observedAt || null,
+      isFallback: reading.isFallback || false
+    }));
+}
+
+/**
+ * Fetch a day's hourly readings from the location's provider
+ * Returns: [{ timestamp, temp }]
+ */
+async function fetchHistoricalDay(location, date) {
+  const data = await getProvider(location).fetchHistory(location, date);
+  if (!data?.hourly) return [];
+  
+  return data.hourly
+    .map(entry => {
+      const parsed = parseTimeString(entry.time);
+      if (!parsed) return null;
+      
+      const timestamp = moment.tz(date, location.timezone)
+        .hour(parsed.hours)
+        .minute(parsed.minutes)
+        .toISOString();
+      return { timestamp, temp: entry.temp };
+    })
+    .filter(reading => reading !== null)
+    .sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+}
+
+/**
+ * Replay one local day through the alert engine
+ * Returns the alerts that would have fired
+ */
+function replayDay(location, date, readings, zone) {
+  let state = createDayState();
+  const alerts = [];
+  
+  for (const reading of readings) {
+    // Same rule as live polling: fallback readings and repeat polls aren't evaluated
+    if (!isNewObservation(state, reading)) continue;
+    
+    // Simulated clock: the moment this reading was taken
+    const now = moment(reading.timestamp).tz(location.timezone);
+    
+    const result = evaluateReading(state, {
+      temp: reading.temp,
+      time: now.format('h:mm A'),
+      date,
+      timestamp: now.toISOString(),
+      observedAt: reading.observedAt || now.toISOString()
+    }, {
+      location,
+      inAttentionZone: isInAttentionZone(zone, now.hour() * 60 + now.minute()),
+      zone
+    });
+    
+    state = result.state;
+    alerts.push(...result.alerts);
+  }
+  
+  return alerts;
+}
+
+/**
+ * Run a backtest
+ * @returns {object} { location, from, to, source, zone, days, readings, summary, alerts }
+ */
+export async function runBacktest({ locationId, from, to, source = 'archive', zone = DEFAULT_ATTENTION_ZONE }) {
+  const location = locations.find(l => l.id === locationId);
+  if (!location) throw new Error(`Unknown location "${locationId}"`);
+  
+  const summary = {};
+  const alerts = [];
+  let readingCount = 0;
+  const dates = datesBetween(from, to);
+  
+  for (const date of dates) {
+    const readings = source === 'fetch'
+      ? await fetchHistoricalDay(location, date)
+      : loadArchivedDay(location, date);
+    
+    readingCount += readings.length;
+    
+    for (const alert of replayDay(location, date, readings, zone)) {
+      const { location: _, ...record } = alert;
+      alerts.push(record);
+      summary[alert.type] = (summary[alert.type] || 0) + 1;
+    }
+    
+    if (source === 'fetch') {
+      // Small delay to avoid rate limiting
+      await new Promise(resolve => setTimeout(resolve, 500));
+    }
+  }
+  
+  return {
+    location: location.id,
+    from,
+    to,
+    source,
+    zone,
+    days: dates.length,
+    readings: readingCount,
+    summary,
+    alerts
+  };
+}
+
+/**
+ * CLI entry point
+ */
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const isDate = (value) => moment(value, 'YYYY-MM-DD', true).isValid();
+  
+  if (!args.locationId || !isDate(args.from) || !isDate(args.to) || !['archive', 'fetch'].includes(args.source)) {
+    console.log('Usage: node src/backtest.js <location> <from YYYY-MM-DD> [to YYYY-MM-DD] [--source archive|fetch] [--zone 13:00-16:00] [--out file.json]');
+    process.exit(1);
+  }
+  
+  const zone = args.zone ? parseZone(args.zone) : DEFAULT_ATTENTION_ZONE;
+  if (!zone) {
+    console.error(`❌ Invalid zone "${args.zone}" (expected HH:MM-HH:MM)`);
+    process.exit(1);
+  }
+  
+  // Include runtime-managed markets
+  initMarkets();
+  
+  console.log(`⏪ Backtesting ${args.locationId} ${args.from} → ${args.to} (${args.source})`);
+  
+  const result = await runBacktest({ ...args, zone });
+  
+  const outFile = args.out || path.join(BACKTEST_DIR, `${result.location}_${args.from}_${args.to}.json`);
+  fs.mkdirSync(path.dirname(outFile), { recursive: true });
+  fs.writeFileSync(outFile, JSON.stringify(result, null, 2));
+  
+  console.log(`📊 ${result.readings} reading(s) over ${result.days} day(s), ${result.alerts.length} alert(s)`);
+  for (const [type, count] of Object.entries(result.summary)) {
+    console.log(`   ${type}: ${count}`);
+  }
+  console.log(`💾 Written to ${outFile}`);
+}
+
+// Only run when executed directly (not when imported)
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  main().catch(err => {
+    console.error('❌ Backtest failed:', err.message);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,89 @@
+/**
+ * Temperature Brackets
+ * Per-market bracket boundaries (e.g. 84–85°F) used for bracket crossing alerts
+ *
+ * Location config:
+ *   brackets: [80, 82, 84, 86]   // ascending lower bounds
+ *   bracketUnit: 'F'             // unit the boundaries are in (default 'C')
+ *
+ * Bracket i covers [brackets[i], brackets[i + 1]); temps below the first
+ * boundary fall in "< 80°F" and temps at/above the last in "≥ 86°F".
+ */
+
+import { convertTemp, roundForUnits, DEFAULT_UNITS } from './units.js';
+
+/**
+ * Check if a location has brackets configured
+ */
+export function hasBrackets(location) {
+  return Array.isArray(location?.brackets) && location.brackets.length > 0;
+}
+
+/**
+ * Validate a bracket boundary list
+ * Returns an error message, or null if valid
+ */
+export function validateBrackets(brackets) {
+  if (!Array.isArray(brackets) || brackets.length === 0) {
+    return 'Brackets must be a non-empty list of numbers';
+  }
+  if (brackets.some(b => typeof b !== 'number' || isNaN(b))) {
+    return 'Brackets must be numbers';
+  }
+  for (let i = 1; i < brackets.length; i++) {
+    if (brackets[i] <= brackets[i - 1]) {
+      return 'Brackets must be in ascending order';
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Build a display label for a bracket index
+ */
+function formatBracketLabel(brackets, index, units) {
+  if (index < 0) return `< ${brackets[0]}°${units}`;
+  if (index >= brackets.length - 1) return `≥ ${brackets[brackets.length - 1]}°${units}`;
+  
+  const low = brackets[index];
+  const high = brackets[index + 1];
+  
+  // Whole-degree brackets read like settlement ranges: [84, 86) -> "84–85°F"
+  if (Number.isInteger(low) && Number.isInteger(high)) {
+    return high - 1 === low ? `${low}°${units}` : `${low}–${high - 1}°${units}`;
+  }
+  
+  return `${low}–${high}°${units}`;
+}
+
+/**
+ * Get the display label for a bracket index on a location
+ */
+export function getBracketLabel(location, index) {
+  if (!hasBrackets(location)) return null;
+  return formatBracketLabel(location.brackets, index, location.bracketUnit || DEFAULT_UNITS);
+}
+
+/**
+ * Find which bracket a Celsius temperature falls in for a location
+ * Returns { index, label } or null if the location has no brackets
+ */
+export function findBracket(location, celsius) {
+  if (!hasBrackets(location)) return null;
+  
+  const units = location.bracketUnit || DEFAULT_UNITS;
+  const converted = convertTemp(celsius, units);
+  if (converted === null) return null;
+  
+  // Compare at display precision so the bracket matches what users see
+  const value = roundForUnits(converted, units);
+  const brackets = location.brackets;
+  
+  let index = -1;
+  for (let i = 0; i < brackets.length; i++) {
+    if (value >= brackets[i]) index = i;
+  }
+  
+  return { index, label: formatBracketLabel(brackets, index, units) };
+}
@@ -0,0 +1,302 @@
+/**
+ * Chart Rendering
+ * Pure-JS PNG line charts of a day's readings (no native or GPU dependencies)
+ *
+ * Draws into an RGBA buffer and encodes it with Node's built-in zlib.
+ * Axis labels use a tiny built-in bitmap font; titles and legends go in the
+ * Telegram caption instead.
+ */
+
+import zlib from 'zlib';
+
+const WIDTH = 800;
+const HEIGHT = 450;
+const MARGIN = { top: 20, right: 30, bottom: 40, left: 72 };
+
+const COLORS = {
+  background: [255, 255, 255],
+  grid: [230, 230, 230],
+  axis: [120, 120, 120],
+  text: [60, 60, 60],
+  zone: [255, 236, 179],
+  today: [33, 150, 243],
+  yesterday: [176, 176, 176],
+  high: [229, 57, 53]
+};
+
+// 5x7 bitmap font for axis labels (each row is 5 bits, MSB = leftmost pixel)
+const FONT = {
+  '0': [0x0e, 0x11, 0x13, 0x15, 0x19, 0x11, 0x0e],
+  '1': [0x04, 0x0c, 0x04, 0x04, 0x04, 0x04, 0x0e],
+  '2': [0x0e, 0x11, 0x01, 0x02, 0x04, 0x08, 0x1f],
+  '3': [0x1f, 0x02, 0x04, 0x02, 0x01, 0x11, 0x0e],
+  '4': [0x02, 0x06, 0x0a, 0x12, 0x1f, 0x02, 0x02],
+  '5': [0x1f, 0x10, 0x1e, 0x01, 0x01, 0x11, 0x0e],
+  '6': [0x06, 0x08, 0x10, 0x1e, 0x11, 0x11, 0x0e],
+  '7': [0x1f, 0x01, 0x02, 0x04, 0x08, 0x08, 0x08],
+  '8': [0x0e, 0x11, 0x11, 0x0e, 0x11, 0x11, 0x0e],
+  '9': [0x0e, 0x11, 0x11, 0x0f, 0x01, 0x02, 0x0c],
+  '-': [0x00, 0x00, 0x00, 0x1f, 0x00, 0x00, 0x00],
+  '.': [0x00, 0x00, 0x00, 0x00, 0x00, 0x0c, 0x0c],
+  ':': [0x00, 0x0c, 0x0c, 0x00, 0x0c, 0x0c, 0x00],
+  '°': [0x0c, 0x12, 0x12, 0x0c, 0x00, 0x00, 0x00],
+  'C': [0x0e, 0x11, 0x10, 0x10, 0x10, 0x11, 0x0e],
+  'F': [0x1f, 0x10, 0x10, 0x1e, 0x10, 0x10, 0x10],
+  ' ': [0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00]
+};
+
+/**
+ * Create a blank RGBA canvas
+ */
+function createCanvas(width, height, background) {
+  const pixels = new Uint8Array(width * height * 4);
+  for (let i = 0; i < width * height; i++) {
+    pixels[i * 4] = background[0];
+    pixels[i * 4 + 1] = background[1];
+    pixels[i * 4 + 2] = background[2];
+    pixels[i * 4 + 3] = 255;
+  }
+  return { width, height, pixels };
+}
+
+/**
+ * Set a single pixel (ignores out-of-bounds)
+ */
+function setPixel(canvas, x, y, color) {
+  x = Math.round(x);
+  y = Math.round(y);
+  if (x < 0 || y < 0 || x >= canvas.width || y >= canvas.height) return;
+  
+  const i = (y * canvas.width + x) * 4;
+  canvas.pixels[i] = color[0];
+  canvas.pixels[i + 1] = color[1];
+  canvas.pixels[i + 2] = color[2];
+}
+
+/**
+ * Fill a rectangle
+ */
+function fillRect(canvas, x, y, width, height, color) {
+  for (let py = Math.round(y); py < Math.round(y + height); py++) {
+    for (let px = Math.round(x); px < Math.round(x + width); px++) {
+      setPixel(canvas, px, py, color);
+    }
+  }
+}
+
+/**
+ * Draw a line with the given thickness (Bresenham with a square brush)
+ */
+function drawLine(canvas, x0, y0, x1, y1, color, thickness = 1) {
+  x0 = Math.round(x0); y0 = Math.round(y0);
+  x1 = Math.round(x1); y1 = Math.round(y1);
+  
+  const dx = Math.abs(x1 - x0);
+  const dy = -Math.abs(y1 - y0);
+  const sx = x0 < x1 ? 1 : -1;
+  const sy = y0 < y1 ? 1 : -1;
+  const offset = Math.floor(thickness / 2);
+  let err = dx + dy;
+  
+  while (true) {
+    fillRect(canvas, x0 - offset, y0 - offset, thickness, thickness, color);
+    if (x0 === x1 && y0 === y1) break;
+    
+    const e2 = 2 * err;
+    if (e2 >= dy) { err += dy; x0 += sx; }
+    if (e2 <= dx) { err += dx; y0 += sy; }
+  }
+}
+
+/**
+ * Draw a dashed horizontal line
+ */
+function drawDashedHLine(canvas, x0, x1, y, color, thickness = 2, dash = 8) {
+  for (let x = x0; x < x1; x += dash * 2) {
+    drawLine(canvas, x, y, Math.min(x + dash, x1), y, color, thickness);
+  }
+}
+
+/**
+ * Draw text with the bitmap font
+ * align: 'left' | 'center' | 'right' relative to x
+ */
+function drawText(canvas, text, x, y, color, scale = 2, align = 'left') {
+  const charWidth = 6 * scale;
+  const textWidth = text.length * charWidth - scale;
+  let cursor = align === 'center' ? x - textWidth / 2 : align === 'right' ? x - textWidth : x;
+  
+  for (const char of text) {
+    const glyph = FONT[char] || FONT[' '];
+    for (let row = 0; row < 7; row++) {
+      for (let col = 0; col < 5; col++) {
+        if (glyph[row] & (0x10 >> col)) {
+          fillRect(canvas, cursor + col * scale, y + row * scale, scale, scale, color);
+        }
+      }
+    }
+    cursor += charWidth;
+  }
+}
+
+// CRC32 table for PNG chunks
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+/**
+ * CRC32 of a buffer
+ */
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Build a PNG chunk
+ */
+function pngChunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  
+  const typeAndData = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(typeAndData));
+  
+  return Buffer.concat([length, typeAndData, crc]);
+}
+
+/**
+ * Encode a canvas as a PNG buffer (8-bit RGBA, no filtering)
+ */
+function encodePng(canvas) {
+  const { width, height, pixels } = canvas;
+  
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8;  // bit depth
+  header[9] = 6;  // color type: RGBA
+  header[10] = 0; // compression
+  header[11] = 0; // filter
+  header[12] = 0; // interlace
+  
+  // Each scanline is prefixed with filter type 0 (none)
+  const rowSize = width * 4;
+  const raw = Buffer.alloc((rowSize + 1) * height);
+  for (let y = 0; y < height; y++) {
+    raw[y * (rowSize + 1)] = 0;
+    Buffer.from(pixels.buffer, y * rowSize, rowSize).copy(raw, y * (rowSize + 1) + 1);
+  }
+  
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    pngChunk('IHDR', header),
+    pngChunk('IDAT', zlib.deflateSync(raw)),
+    pngChunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+/**
+ * Pick a "nice" gridline step for a value range
+ */
+function niceStep(range) {
+  const candidates = [0.5, 1, 2, 5, 10];
+  return candidates.find(step => range / step <= 8) || 10;
+}
+
+/**
+ * Render a day's temperature chart as a PNG
+ * @param {object} options
+ * @param {Array} options.today - [{ minutes, temp }] minutes since local midnight, temp in display units
+ * @param {Array} options.yesterday - same shape, drawn in gray for comparison
+ * @param {number|null} options.high - running high (display units), drawn as a dashed line
+ * @param {object|null} options.zone - { startMinutes, endMinutes } attention zone to shade
+ * @param {string} options.units - 'C' or 'F' for axis labels
+ * @returns {Buffer} PNG image
+ */
+export function renderDayChart({ today = [], yesterday = [], high = null, zone = null, units = 'C' }) {
+  const canvas = createCanvas(WIDTH, HEIGHT, COLORS.background);
+  const plot = {
+    left: MARGIN.left,
+    top: MARGIN.top,
+    width: WIDTH - MARGIN.left - MARGIN.right,
+    height: HEIGHT - MARGIN.top - MARGIN.bottom
+  };
+  
+  // Y range covering all series, padded and snapped to the grid step
+  const temps = [...today, ...yesterday].map(p => p.temp);
+  if (high !== null) temps.push(high);
+  let minTemp = temps.length > 0 ? Math.min(...temps) : 0;
+  let maxTemp = temps.length > 0 ? Math.max(...temps) : 1;
+  if (maxTemp - minTemp < 2) {
+    minTemp -= 1;
+    maxTemp += 1;
+  }
+  const step = niceStep(maxTemp - minTemp);
+  minTemp = Math.floor(minTemp / step) * step;
+  maxTemp = Math.ceil(maxTemp / step) * step;
+  
+  const xFor = (minutes) => plot.left + (minutes / 1440) * plot.width;
+  const yFor = (temp) => plot.top + plot.height - ((temp - minTemp) / (maxTemp - minTemp)) * plot.height;
+  
+  // Attention zone shading
+  if (zone) {
+    const x0 = xFor(zone.startMinutes);
+    const x1 = xFor(zone.endMinutes);
+    fillRect(canvas, x0, plot.top, x1 - x0, plot.height, COLORS.zone);
+  }
+  
+  // Horizontal gridlines + temperature labels
+  for (let t = minTemp; t <= maxTemp + 1e-9; t += step) {
+    const y = yFor(t);
+    drawLine(canvas, plot.left, y, plot.left + plot.width, y, COLORS.grid);
+    const label = `${Number.isInteger(step) ? Math.round(t) : t.toFixed(1)}°${units}`;
+    drawText(canvas, label, plot.left - 8, y - 7, COLORS.text, 2, 'right');
+  }
+  
+  // Vertical gridlines every 3 hours + hour labels
+  for (let hour = 0; hour <= 24; hour += 3) {
+    const x = xFor(hour * 60);
+    drawLine(canvas, x, plot.top, x, plot.top + plot.height, COLORS.grid);
+    if (hour < 24) {
+      drawText(canvas, `${hour}:00`, x, plot.top + plot.height + 10, COLORS.text, 2, 'center');
+    }
+  }
+  
+  // Axes
+  drawLine(canvas, plot.left, plot.top, plot.left, plot.top + plot.height, COLORS.axis, 2);
+  drawLine(canvas, plot.left, plot.top + plot.height, plot.left + plot.width, plot.top + plot.height, COLORS.axis, 2);
+  
+  // Series: yesterday first so today draws on top
+  const drawSeries = (points, color, thickness) => {
+    const sorted = [...points].sort((a, b) => a.minutes - b.minutes);
+    for (let i = 1; i < sorted.length; i++) {
+      drawLine(canvas, xFor(sorted[i - 1].minutes), yFor(sorted[i - 1].temp), xFor(sorted[i].minutes), yFor(sorted[i].temp), color, thickness);
+    }
+    if (sorted.length === 1) {
+      fillRect(canvas, xFor(sorted[0].minutes) - 2, yFor(sorted[0].temp) - 2, 5, 5, color);
+    }
+  };
+  
+  drawSeries(yesterday, COLORS.yesterday, 2);
+  
+  if (high !== null) {
+    drawDashedHLine(canvas, plot.left, plot.left + plot.width, yFor(high), COLORS.high);
+  }
+  
+  drawSeries(today, COLORS.today, 3);
+  
+  return encodePng(canvas);
+}
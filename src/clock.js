@@ -0,0 +1,72 @@
+/**
+ * Clock
+ * Source of "now" for the polling and alert logic, so simulations can run on a controllable clock
+ *
+ * Uses the real time unless a simulated time has been set with setSimulatedTime().
+ */
+
+import moment from 'moment-timezone';
+
+// Simulated epoch milliseconds, or null for the real clock
+let simulatedTime = null;
+
+/**
+ * Current time in epoch milliseconds
+ */
+export function now() {
+  return simulatedTime ?? Date.now();
+}
+
+/**
+ * Current time as a Date
+ */
+export function nowDate() {
+  return new Date(now());
+}
+
+/**
+ * Current time as a moment, optionally in a timezone
+ */
+export function nowMoment(timezone = null) {
+  const current = moment(now());
+  return timezone ? current.tz(timezone) : current;
+}
+
+/**
+ * Switch to a simulated clock set to the given time
+ */
+export function setSimulatedTime(time) {
+  simulatedTime = new Date(time).getTime();
+}
+
+/**
+ * Move the simulated clock forward
+ */
+export function advanceClock(ms) {
+  if (simulatedTime === null) {
+    throw new Error('advanceClock() requires a simulated clock');
+  }
+  simulatedTime += ms;
+}
+
+/**
+ * Go back to the real clock
+ */
+export function useRealClock() {
+  simulatedTime = null;
+}
+
+/**
+ * Check if a simulated clock is active
+ */
+export function isSimulatedClock() {
+  return simulatedTime !== null;
+}
+
+/**
+ * Wait (rate-limit delays); returns immediately on a simulated clock
+ */
+export function sleep(ms) {
+  if (simulatedTime !== null) return Promise.resolve();
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
@@ -0,0 +1,94 @@
+/**
+ * End-of-Day Summary
+ * Recap of a market's finished local day, built from its per-day state file
+ *
+ * Covers the final tracked high and when it was first reached, how many readings
+ * held at the high, the low, alerts fired by type, and whether the high came
+ * inside the attention zone.
+ */
+
+import moment from 'moment-timezone';
+import { parseTimeString } from './providers/utils.js';
+import { isInAttentionZone } from './alertEngine.js';
+import { formatTemp, getUnitsForUser } from './units.js';
+
+// Summary labels per alert type, in display order
+const ALERT_LABELS = {
+  new_high: '📈 New highs',
+  drop: '📉 Drops',
+  sustained_high: '🔥 Sustained highs',
+  bracket_cross: '🎯 Bracket crossings',
+  rapid_rise: '⚡ Rapid rises',
+  rapid_fall: '⚡ Rapid falls'
+};
+
+/**
+ * Local time string ("2:15 PM") to minutes since midnight, or null
+ */
+function toMinutes(time) {
+  const parsed = time ? parseTimeString(time) : null;
+  return parsed ? parsed.hours * 60 + parsed.minutes : null;
+}
+
+/**
+ * Build the summary for one finished day
+ * @param {object} state - Day state as saved by saveLocationState
+ * @param {object} zone - Attention zone { startHour, startMin, endHour, endMin }
+ * @returns {object|null} { high, highTime, heldReadings, low, lowTime, readings, alertCounts, highInZone } or null if the day has no readings
+ */
+export function buildDaySummary(state, zone) {
+  const history = (state?.history || []).filter(entry => typeof entry.temp === 'number');
+  if (state?.highTemp === null || state?.highTemp === undefined || history.length === 0) return null;
+  
+  const high = Number(state.highTemp);
+  const firstHigh = history.find(entry => entry.temp === high);
+  const lowest = history.reduce((low, entry) => (entry.temp < low.temp ? entry : low), history[0]);
+  const highMinutes = toMinutes(firstHigh?.time);
+  
+  const alertCounts = {};
+  for (const alert of state.alerts || []) {
+    alertCounts[alert.type] = (alertCounts[alert.type] || 0) + 1;
+  }
+  
+  return {
+    high,
+    highTime: firstHigh?.time || null,
+    heldReadings: history.filter(entry => entry.temp === high).length,
+    low: lowest.temp,
+    lowTime: lowest.time || null,
+    readings: history.length,
+    alertCounts,
+    highInZone: highMinutes === null ? null : isInAttentionZone(zone, highMinutes)
+  };
+}
+
+/**
+ * Format the summary for a recipient in their display units
+ */
+export function formatDaySummary(location, date, summary, user = null) {
+  const units = getUnitsForUser(user);
+  
+  let message = `🌙 *END OF DAY* — ${location.emoji} *${location.name}* • ${moment(date).format('MMM D')}\n\n`;
+  message += `🔺 High: *${formatTemp(summary.high, units)}*`;
+  message += summary.highTime ? ` (first at ${summary.highTime})\n` : '\n';
+  message += `⏱️ Held: ${summary.heldReadings} of ${summary.readings} reading(s) at the high\n`;
+  message += `🔻 Low: ${formatTemp(summary.low, units)}`;
+  message += summary.lowTime ? ` (${summary.lowTime})\n` : '\n';
+  
+  if (summary.highInZone !== null) {
+    message += summary.highInZone
+      ? `🎯 High came inside the attention zone\n`
+      : `⚠️ High came outside the attention zone\n`;
+  }
+  
+  const order = Object.keys(ALERT_LABELS);
+  const rank = (type) => (order.includes(type) ? order.indexOf(type) : order.length);
+  const alertLines = Object.keys(summary.alertCounts)
+    .sort((a, b) => rank(a) - rank(b))
+    .map(type => `${ALERT_LABELS[type] || type}: ${summary.alertCounts[type]}`);
+  message += alertLines.length > 0
+    ? `\n*Alerts*\n${alertLines.join('\n')}`
+    : `\n_No alerts fired_`;
+  
+  return message;
+}
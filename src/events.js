@@ -0,0 +1,35 @@
+/**
+ * Event Bus
+ * In-process publish/subscribe for live readings and alerts (feeds the /api/stream endpoint)
+ *
+ * Events: { type: 'reading' | 'alert', locationId, data, timestamp }
+ */
+
+import { EventEmitter } from 'events';
+import { nowDate } from './clock.js';
+
+const emitter = new EventEmitter();
+
+// One listener per connected stream client
+emitter.setMaxListeners(0);
+
+/**
+ * Publish an event to all subscribers
+ */
+export function publishEvent(type, locationId, data) {
+  emitter.emit('event', {
+    type,
+    locationId,
+    data,
+    timestamp: nowDate().toISOString()
+  });
+}
+
+/**
+ * Subscribe to events
+ * @returns {function} Unsubscribe function
+ */
+export function subscribeEvents(listener) {
+  emitter.on('event', listener);
+  return () => emitter.off('event', listener);
+}
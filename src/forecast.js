@@ -0,0 +1,140 @@
+/**
+ * Final-High Estimator
+ * Estimates the distribution of a market's final daily high from archived hourly curves
+ *
+ * For each past day we look at how far the temperature climbed after the current
+ * time of day, apply that rise to today's current temperature, and smooth the
+ * resulting samples with a small Gaussian kernel (past days are few).
+ */
+
+import { parseTimeString } from './providers/utils.js';
+import { formatTemp, convertTemp, toCelsius, DEFAULT_UNITS } from './units.js';
+
+// Kernel width (°C) applied to each sample
+const KERNEL_SIGMA = 0.5;
+
+// Need at least this many past days for a meaningful estimate
+const MIN_SAMPLES = 3;
+
+/**
+ * Standard normal CDF (Abramowitz-Stegun approximation)
+ */
+function normalCdf(x) {
+  const t = 1 / (1 + 0.2316419 * Math.abs(x));
+  const d = 0.3989423 * Math.exp(-x * x / 2);
+  const p = d * t * (0.3193815 + t * (-0.3565638 + t * (1.781478 + t * (-1.821256 + t * 1.330274))));
+  return x > 0 ? 1 - p : p;
+}
+
+/**
+ * Convert an hourly series to [{ minutes, temp }] sorted by time of day
+ */
+function toMinuteSeries(hourly) {
+  return (hourly || [])
+    .map(entry => {
+      const parsed = entry.time ? parseTimeString(entry.time) : null;
+      return parsed && typeof entry.temp === 'number'
+        ? { minutes: parsed.hours * 60 + parsed.minutes, temp: entry.temp }
+        : null;
+    })
+    .filter(entry => entry !== null)
+    .sort((a, b) => a.minutes - b.minutes);
+}
+
+/**
+ * How much a past day climbed above its temperature at a given time of day
+ * Returns null if the day has no usable readings around that time
+ */
+function remainingRise(hourly, nowMinutes) {
+  const series = toMinuteSeries(hourly);
+  if (series.length === 0) return null;
+  
+  const before = series.filter(e => e.minutes <= nowMinutes);
+  const after = series.filter(e => e.minutes > nowMinutes);
+  
+  // Temperature at "now" on that day (earliest reading if we're before it started)
+  const tempAtNow = before.length > 0 ? before[before.length - 1].temp : series[0].temp;
+  if (after.length === 0) return 0;
+  
+  return Math.max(0, Math.max(...after.map(e => e.temp)) - tempAtNow);
+}
+
+/**
+ * Estimate the final daily high
+ * @param {Array} curves - Past days: [{ date, hourly: [{ time, temp }] }]
+ * @param {object} today - { currentTemp, currentHigh, nowMinutes } (°C, local minutes of day)
+ * @returns {object|null} { samples, currentHigh, expected, sampleDays } or null if not enough history
+ */
+export function estimateFinalHigh(curves, { currentTemp, currentHigh, nowMinutes }) {
+  if (typeof currentTemp !== 'number' || isNaN(currentTemp)) return null;
+  
+  const high = typeof currentHigh === 'number' && !isNaN(currentHigh) ? currentHigh : currentTemp;
+  const samples = [];
+  
+  for (const curve of curves || []) {
+    const rise = remainingRise(curve.hourly, nowMinutes);
+    if (rise === null) continue;
+    samples.push(Math.max(high, currentTemp + rise));
+  }
+  
+  if (samples.length < MIN_SAMPLES) return null;
+  
+  const expected = samples.reduce((a, b) => a + b, 0) / samples.length;
+  
+  return {
+    samples,
+    currentHigh: high,
+    expected: Math.round(expected * 10) / 10,
+    sampleDays: samples.length
+  };
+}
+
+/**
+ * Probability that the final high reaches at least a threshold (°C)
+ */
+export function probabilityAtLeast(estimate, thresholdC) {
+  if (!estimate) return null;
+  
+  // The high can't go back down
+  if (thresholdC <= estimate.currentHigh) return 1;
+  
+  const total = estimate.samples.reduce(
+    (sum, sample) => sum + (1 - normalCdf((thresholdC - sample) / KERNEL_SIGMA)),
+    0
+  );
+  
+  return total / estimate.samples.length;
+}
+
+/**
+ * Next whole-degree thresholds above the current high, in the user's units
+ * Returns [{ value, celsius }] where value is in display units
+ */
+function getThresholds(estimate, units, count) {
+  const currentDisplay = convertTemp(estimate.currentHigh, units);
+  const first = Math.floor(currentDisplay) + 1;
+  
+  return Array.from({ length: count }, (_, i) => ({
+    value: first + i,
+    celsius: toCelsius(first + i, units)
+  }));
+}
+
+/**
+ * Format probability lines like "P(high ≥ 31°C) = 42%"
+ */
+export function formatForecastLines(estimate, units = DEFAULT_UNITS, count = 1) {
+  if (!estimate) return [];
+  
+  return getThresholds(estimate, units, count).map(({ value, celsius }) => {
+    const probability = Math.round(probabilityAtLeast(estimate, celsius) * 100);
+    return `P(high ≥ ${value}°${units}) = ${probability}%`;
+  });
+}
+
+/**
+ * Format the expected final high for display
+ */
+export function formatExpectedHigh(estimate, units = DEFAULT_UNITS) {
+  return estimate ? formatTemp(estimate.expected, units) : 'N/A';
+}
@@ -0,0 +1,116 @@
+/**
+ * Data Feed Health
+ * Tracks per-location observation age and consecutive fetch failures to detect stale feeds
+ *
+ * A feed is stale when its newest observation is older than STALE_AFTER_MINUTES
+ * (the upstream keeps returning the same reading) or after STALE_AFTER_FAILURES
+ * failed fetches in a row. Admins are alerted on the stale/recovered transitions.
+ */
+
+import { STALE_AFTER_MINUTES, STALE_AFTER_FAILURES } from '../config/health.js';
+import { now } from './clock.js';
+
+// Format: { locationId: { observedAt, lastChangeAt, lastSuccessAt, consecutiveFailures, lastError, stale } }
+const feeds = new Map();
+
+/**
+ * Get (or create) the health record for a location
+ */
+function getFeed(locationId) {
+  if (!feeds.has(locationId)) {
+    feeds.set(locationId, {
+      observedAt: null,
+      lastChangeAt: null,
+      lastSuccessAt: null,
+      consecutiveFailures: 0,
+      lastError: null,
+      stale: false
+    });
+  }
+  return feeds.get(locationId);
+}
+
+/**
+ * Record a successful fetch
+ * @param {string|null} observedAt - Observation timestamp reported by the provider
+ */
+export function recordFetchSuccess(locationId, observedAt) {
+  const feed = getFeed(locationId);
+  const current = now();
+  
+  if (!feed.lastChangeAt || observedAt !== feed.observedAt) {
+    feed.lastChangeAt = current;
+  }
+  
+  feed.observedAt = observedAt || null;
+  feed.lastSuccessAt = current;
+  feed.consecutiveFailures = 0;
+  feed.lastError = null;
+}
+
+/**
+ * Record a failed fetch
+ */
+export function recordFetchFailure(locationId, error) {
+  const feed = getFeed(locationId);
+  feed.consecutiveFailures++;
+  feed.lastError = error || 'Unknown error';
+}
+
+/**
+ * Age of a location's newest observation in minutes (null if nothing seen yet)
+ * Uses the provider's observation time, or when the reading last changed if it has none
+ */
+export function getDataAgeMinutes(locationId) {
+  const feed = feeds.get(locationId);
+  if (!feed) return null;
+  
+  const reference = feed.observedAt ? new Date(feed.observedAt).getTime() : feed.lastChangeAt;
+  if (!reference || isNaN(reference)) return null;
+  
+  return Math.max(0, Math.round((now() - reference) / 60000));
+}
+
+/**
+ * Check whether a location's data is older than the stale threshold
+ */
+export function isDataStale(locationId) {
+  const age = getDataAgeMinutes(locationId);
+  return age !== null && age >= STALE_AFTER_MINUTES;
+}
+
+/**
+ * Re-evaluate a location's feed
+ * @returns {object|null} { status: 'stale' | 'recovered', ageMinutes, failures, lastError } on a transition, else null
+ */
+export function evaluateFeedHealth(locationId) {
+  const feed = feeds.get(locationId);
+  if (!feed) return null;
+  
+  const stale = isDataStale(locationId) || feed.consecutiveFailures >= STALE_AFTER_FAILURES;
+  if (stale === feed.stale) return null;
+  
+  feed.stale = stale;
+  
+  return {
+    status: stale ? 'stale' : 'recovered',
+    ageMinutes: getDataAgeMinutes(locationId),
+    failures: feed.consecutiveFailures,
+    lastError: feed.lastError
+  };
+}
+
+/**
+ * Get a snapshot of a location's feed health
+ */
+export function getFeedHealth(locationId) {
+  const feed = feeds.get(locationId);
+  return feed ? { ...feed, ageMinutes: getDataAgeMinutes(locationId) } : null;
+}
+
+/**
+ * Drop health tracking for a removed location
+ */
+export function forgetFeedHealth(locationId) {
+  feeds.delete(locationId);
+}
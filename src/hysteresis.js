@@ -0,0 +1,115 @@
+/**
+ * Alert Hysteresis
+ * Minimum change before a reading counts as a new high or a drop, so a station
+ * bouncing 24.4 → 24.5 → 24.4 doesn't alert on every poll
+ *
+ * Location config (°C):
+ *   minRise: 0.5              // rise over the last alerted high needed for a NEW HIGH
+ *   minDrop: 0.3              // fall below the day's high needed for a DROP
+ *   dropConfirmReadings: 2    // consecutive readings that must meet minDrop before alerting
+ *
+ * Users may override any of these for themselves (users.json: hysteresis).
+ */
+
+import { formatTempDelta, toCelsiusDelta, DEFAULT_UNITS } from './units.js';
+
+// Any change alerts, and a single reading confirms a drop
+export const DEFAULT_HYSTERESIS = { minRise: 0, minDrop: 0, dropConfirmReadings: 1 };
+
+export const HYSTERESIS_FIELDS = Object.keys(DEFAULT_HYSTERESIS);
+
+// Upper bound for dropConfirmReadings (one reading per observation)
+const MAX_CONFIRM_READINGS = 12;
+
+// Alert types the hysteresis applies to
+export const HYSTERESIS_ALERT_TYPES = ['new_high', 'drop'];
+
+/**
+ * Validate hysteresis values (any subset of the fields)
+ * Returns an error message, or null if valid
+ */
+export function validateHysteresis(settings) {
+  for (const field of ['minRise', 'minDrop']) {
+    const value = settings[field];
+    if (value !== undefined && (typeof value !== 'number' || isNaN(value) || value < 0)) {
+      return `${field} must be a number ≥ 0 (°C)`;
+    }
+  }
+  
+  const confirm = settings.dropConfirmReadings;
+  if (confirm !== undefined && (!Number.isInteger(confirm) || confirm < 1 || confirm > MAX_CONFIRM_READINGS)) {
+    return `dropConfirmReadings must be a whole number from 1 to ${MAX_CONFIRM_READINGS}`;
+  }
+  
+  return null;
+}
+
+/**
+ * Pick the hysteresis fields that are set on an object
+ */
+function pickSettings(source) {
+  const settings = {};
+  for (const field of HYSTERESIS_FIELDS) {
+    if (source?.[field] !== undefined && source[field] !== null) {
+      settings[field] = source[field];
+    }
+  }
+  return settings;
+}
+
+/**
+ * Check if a user has their own hysteresis settings
+ */
+export function hasHysteresisOverride(user) {
+  return Object.keys(pickSettings(user?.hysteresis)).length > 0;
+}
+
+/**
+ * Get the effective settings for a location, with a user's overrides applied if given
+ */
+export function getHysteresis(location, user = null) {
+  return {
+    ...DEFAULT_HYSTERESIS,
+    ...pickSettings(location),
+    ...pickSettings(user?.hysteresis)
+  };
+}
+
+/**
+ * Parse "/sensitivity" arguments: "rise 0.5 drop 0.3 confirm 2" (any subset, in the user's units)
+ * Returns { settings (°C) } or { error }
+ */
+export function parseHysteresisArgs(text, units = DEFAULT_UNITS) {
+  const tokens = text?.trim().toLowerCase().split(/\s+/) || [];
+  const keys = { rise: 'minRise', drop: 'minDrop', confirm: 'dropConfirmReadings' };
+  
+  if (tokens.length === 0 || tokens.length % 2 !== 0) {
+    return { error: 'Expected pairs like "rise 0.5 drop 0.3 confirm 2"' };
+  }
+  
+  const settings = {};
+  for (let i = 0; i < tokens.length; i += 2) {
+    const field = keys[tokens[i]];
+    const value = Number(tokens[i + 1].replace(/°?[cf]$/, ''));
+    if (!field) return { error: `Unknown setting "${tokens[i]}" (use rise, drop or confirm)` };
+    if (isNaN(value)) return { error: `"${tokens[i + 1]}" is not a number` };
+    
+    // Temperature changes are stored as °C deltas
+    settings[field] = field === 'dropConfirmReadings'
+      ? value
+      : Math.round(toCelsiusDelta(value, units) * 100) / 100;
+  }
+  
+  const error = validateHysteresis(settings);
+  return error ? { error } : { settings };
+}
+
+/**
+ * Describe settings for display, e.g. "rise ≥ 0.5°C • drop ≥ 0.3°C • confirm 2 reading(s)"
+ */
+export function formatHysteresis(settings, units = DEFAULT_UNITS) {
+  const delta = (value) => (value > 0 ? `≥ ${formatTempDelta(value, units)}` : 'any');
+  
+  return `rise ${delta(settings.minRise)} • drop ${delta(settings.minDrop)} • ` +
+    `confirm ${settings.dropConfirmReadings} reading(s)`;
+}
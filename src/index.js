@@ -8,6 +8,8 @@
 import 'dotenv/config';
 import { initBot } from './telegram.js';
 import { initWeatherService } from './weather.js';
+import { initMarkets } from './markets.js';
+import { startApiServer } from './api.js';
 
 const VERSION = 'v2.1.0-hourly-fix';
 
@@ -24,12 +26,18 @@ console.log(`
 
 async function main() {
   try {
+    // Load runtime-managed markets (if any) before anything uses locations
+    initMarkets();
+    
     // Initialize Telegram bot
     initBot();
     
     // Initialize weather monitoring service
     await initWeatherService();
     
+    // Start the local HTTP API (only if API_PORT is set)
+    startApiServer();
+    
     console.log('\n🚀 System is running! Press Ctrl+C to stop.\n');
     
   } catch (err) {
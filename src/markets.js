@@ -0,0 +1,146 @@
+/**
+ * Market Management
+ * Runtime add/edit/remove of monitored locations, persisted to the data directory
+ */
+
+import moment from 'moment-timezone';
+import { locations } from '../config/locations.js';
+import { loadMarkets, saveMarkets } from './state.js';
+import { hasProvider } from './providers/index.js';
+import { validateBrackets } from './brackets.js';
+import { parseUnits } from './units.js';
+import { validateHysteresis, HYSTERESIS_FIELDS } from './hysteresis.js';
+import { validateRateSettings, RATE_FIELDS } from './rateOfChange.js';
+
+// Fields an admin may set on a market
+export const EDITABLE_FIELDS = ['name', 'emoji', 'apiPath', 'timezone', 'provider', 'station', 'brackets', 'bracketUnit', ...HYSTERESIS_FIELDS, ...RATE_FIELDS];
+
+/**
+ * Load persisted markets (if any) into the shared locations list
+ * The list is updated in place so every module importing it sees the change
+ */
+export function initMarkets() {
+  const persisted = loadMarkets();
+  
+  if (Array.isArray(persisted) && persisted.length > 0) {
+    locations.splice(0, locations.length, ...persisted);
+    console.log(`🌍 Loaded ${persisted.length} markets from data directory`);
+  }
+}
+
+/**
+ * Find a market by its ID
+ */
+export function getMarket(marketId) {
+  return locations.find(l => l.id === marketId) || null;
+}
+
+/**
+ * Validate a market definition
+ * Returns an error message, or null if valid
+ */
+export function validateMarket(market) {
+  if (!market.id || !/^[a-z0-9_-]+$/.test(market.id)) {
+    return 'ID must be lowercase letters, digits, "-" or "_"';
+  }
+  if (!market.name) return 'Name is required';
+  if (!market.apiPath || !/^[\w-]+(\/[\w-]+)+$/.test(market.apiPath)) {
+    return 'API path must look like country/city/STATION (e.g. us/miami/KMIA)';
+  }
+  if (!market.timezone || !moment.tz.zone(market.timezone)) {
+    return `Unknown timezone "${market.timezone}"`;
+  }
+  if (market.provider && !hasProvider(market.provider)) {
+    return `Unknown weather provider "${market.provider}"`;
+  }
+  if (market.station && !/^[A-Z][A-Z0-9]{3}$/.test(market.station)) {
+    return 'Station must be a 4-character ICAO code (e.g. KATL)';
+  }
+  if (market.brackets !== undefined) {
+    const bracketError = validateBrackets(market.brackets);
+    if (bracketError) return bracketError;
+  }
+  if (market.bracketUnit !== undefined && !['C', 'F'].includes(market.bracketUnit)) {
+    return 'Bracket unit must be C or F';
+  }
+  
+  const hysteresisError = validateHysteresis(market);
+  if (hysteresisError) return hysteresisError;
+  
+  const rateError = validateRateSettings(market);
+  if (rateError) return rateError;
+  
+  return null;
+}
+
+/**
+ * Convert a text value from an admin command to the field's stored type
+ * e.g. brackets "80,82,84" -> [80, 82, 84]
+ */
+export function parseMarketField(field, value) {
+  if (field === 'brackets') {
+    return value.split(/[\s,]+/).filter(v => v !== '').map(Number);
+  }
+  if (field === 'bracketUnit') {
+    return parseUnits(value) || value;
+  }
+  if (HYSTERESIS_FIELDS.includes(field) || RATE_FIELDS.includes(field)) {
+    return Number(value);
+  }
+  
+  return value;
+}
+
+/**
+ * Persist the current locations list
+ */
+function persistMarkets() {
+  saveMarkets(locations);
+}
+
+/**
+ * Add a new market
+ */
+export function addMarket(market) {
+  if (getMarket(market.id)) {
+    throw new Error(`Market "${market.id}" already exists`);
+  }
+  
+  const error = validateMarket(market);
+  if (error) throw new Error(error);
+  
+  locations.push(market);
+  persistMarkets();
+  
+  return market;
+}
+
+/**
+ * Update fields on an existing market
+ */
+export function updateMarket(marketId, changes) {
+  const market = getMarket(marketId);
+  if (!market) throw new Error(`Market "${marketId}" not found`);
+  
+  const updated = { ...market, ...changes, id: market.id };
+  const error = validateMarket(updated);
+  if (error) throw new Error(error);
+  
+  Object.assign(market, updated);
+  persistMarkets();
+  
+  return market;
+}
+
+/**
+ * Remove a market
+ */
+export function removeMarket(marketId) {
+  const index = locations.findIndex(l => l.id === marketId);
+  if (index === -1) return null;
+  
+  const [removed] = locations.splice(index, 1);
+  persistMarkets();
+  
+  return removed;
+}
@@ -0,0 +1,179 @@
+/**
+ * METAR Parser
+ * Decodes raw METAR/SPECI reports into temperature, dewpoint and wind readings
+ *
+ * The main body only carries whole degrees (e.g. "26/18"); ASOS stations also
+ * report tenths in the remarks T-group (e.g. "T02560183" = 25.6°C / 18.3°C),
+ * which is what settlement follows, so it takes precedence when present.
+ */
+
+import moment from 'moment-timezone';
+import { nowDate } from './clock.js';
+
+/**
+ * Parse a METAR temperature token ("26", "M05") to a number
+ */
+function parseWholeTemp(token) {
+  if (!token || !/^M?\d{2}$/.test(token)) return null;
+  
+  const value = parseInt(token.replace('M', ''), 10);
+  return token.startsWith('M') ? -value : value;
+}
+
+/**
+ * Parse a T-group half ("0256", "1012") to tenths of a degree
+ * A leading 1 means negative
+ */
+function parseTenthsTemp(token) {
+  if (!token || !/^[01]\d{3}$/.test(token)) return null;
+  
+  const value = parseInt(token.slice(1), 10) / 10;
+  return token[0] === '1' ? -value : value;
+}
+
+/**
+ * Resolve a DDHHMM observation time to a full UTC timestamp
+ * METARs omit month/year, so pick the most recent matching day on or before the reference time
+ */
+function resolveObservationTime(day, hour, minute, referenceTime) {
+  const reference = moment.utc(referenceTime);
+  let candidate = reference.clone().date(1).hour(hour).minute(minute).second(0).millisecond(0);
+  
+  // Walk back month by month until the day exists and isn't in the future
+  for (let i = 0; i < 3; i++) {
+    if (day <= candidate.daysInMonth()) {
+      const resolved = candidate.clone().date(day);
+      // Allow a little clock skew for reports stamped slightly ahead
+      if (resolved.isSameOrBefore(reference.clone().add(1, 'hour'))) {
+        return resolved;
+      }
+    }
+    candidate = candidate.subtract(1, 'month');
+  }
+  
+  return null;
+}
+
+/**
+ * Parse a wind group ("27008KT", "VRB03KT", "22015G25KT", "18005MPS")
+ */
+function parseWind(token) {
+  const match = token.match(/^(\d{3}|VRB)(\d{2,3})(?:G(\d{2,3}))?(KT|MPS)$/);
+  if (!match) return null;
+  
+  // Normalize to knots
+  const factor = match[4] === 'MPS' ? 1.943844 : 1;
+  const toKnots = (value) => Math.round(parseInt(value, 10) * factor);
+  
+  return {
+    direction: match[1] === 'VRB' ? null : parseInt(match[1], 10),
+    variable: match[1] === 'VRB',
+    speedKt: toKnots(match[2]),
+    gustKt: match[3] ? toKnots(match[3]) : null
+  };
+}
+
+/**
+ * Parse a raw METAR/SPECI report
+ * @param {string} raw - Raw report text
+ * @param {Date|string} referenceTime - Used to resolve the day-of-month timestamp (default: now)
+ * @returns {object|null} { station, observedAt, temp, dewpoint, wholeTemp, wholeDewpoint, hasTenths, wind, raw }
+ */
+export function parseMetar(raw, referenceTime = nowDate()) {
+  if (!raw || typeof raw !== 'string') return null;
+  
+  const text = raw.trim().replace(/=$/, '');
+  const tokens = text.split(/\s+/);
+  let i = 0;
+  
+  // Optional report type
+  if (tokens[i] === 'METAR' || tokens[i] === 'SPECI') i++;
+  
+  // Station identifier
+  const station = tokens[i];
+  if (!station || !/^[A-Z][A-Z0-9]{3}$/.test(station)) return null;
+  i++;
+  
+  // Observation time DDHHMMZ
+  const timeMatch = tokens[i]?.match(/^(\d{2})(\d{2})(\d{2})Z$/);
+  if (!timeMatch) return null;
+  const observedAt = resolveObservationTime(
+    parseInt(timeMatch[1], 10),
+    parseInt(timeMatch[2], 10),
+    parseInt(timeMatch[3], 10),
+    referenceTime
+  );
+  i++;
+  
+  const result = {
+    station,
+    observedAt: observedAt ? observedAt.toISOString() : null,
+    temp: null,
+    dewpoint: null,
+    wholeTemp: null,
+    wholeDewpoint: null,
+    hasTenths: false,
+    wind: null,
+    raw: text
+  };
+  
+  // Body: scan up to remarks
+  const remarksIndex = tokens.indexOf('RMK');
+  const bodyEnd = remarksIndex === -1 ? tokens.length : remarksIndex;
+  
+  for (; i < bodyEnd; i++) {
+    const token = tokens[i];
+    
+    if (!result.wind) {
+      const wind = parseWind(token);
+      if (wind) {
+        result.wind = wind;
+        continue;
+      }
+    }
+    
+    // Temperature/dewpoint group: "26/18", "M05/M10", "26/" (dewpoint missing)
+    const tempMatch = token.match(/^(M?\d{2})\/(M?\d{2})?$/);
+    if (tempMatch) {
+      result.wholeTemp = parseWholeTemp(tempMatch[1]);
+      result.wholeDewpoint = parseWholeTemp(tempMatch[2]);
+    }
+  }
+  
+  result.temp = result.wholeTemp;
+  result.dewpoint = result.wholeDewpoint;
+  
+  // Remarks T-group: T + temp tenths + optional dewpoint tenths
+  if (remarksIndex !== -1) {
+    for (const token of tokens.slice(remarksIndex + 1)) {
+      const tGroup = token.match(/^T([01]\d{3})([01]\d{3})?$/);
+      if (tGroup) {
+        const temp = parseTenthsTemp(tGroup[1]);
+        const dewpoint = parseTenthsTemp(tGroup[2]);
+        
+        if (temp !== null) {
+          result.temp = temp;
+          result.hasTenths = true;
+        }
+        if (dewpoint !== null) {
+          result.dewpoint = dewpoint;
+        }
+        break;
+      }
+    }
+  }
+  
+  return result;
+}
+
+/**
+ * Parse a multi-line block of raw METARs, skipping anything unparseable
+ */
+export function parseMetarList(text, referenceTime = nowDate()) {
+  if (!text) return [];
+  
+  return text
+    .split('\n')
+    .map(line => parseMetar(line, referenceTime))
+    .filter(report => report !== null);
+}
@@ -0,0 +1,187 @@
+/**
+ * Prometheus Metrics
+ * Minimal counters, gauges and histograms rendered in the Prometheus text format (served at /metrics)
+ */
+
+const registry = new Map();
+
+// Poll durations are usually well under a few seconds; analysis fetches can take longer
+const DEFAULT_BUCKETS = [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+/**
+ * Stable key for a label set
+ */
+function labelKey(labels) {
+  return JSON.stringify(Object.keys(labels).sort().map(key => [key, String(labels[key])]));
+}
+
+/**
+ * Render a label set as {a="1",b="2"}
+ */
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  
+  const escape = (value) => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+  return `{${entries.map(([key, value]) => `${key}="${escape(value)}"`).join(',')}}`;
+}
+
+/**
+ * Register a metric (returns the existing one if already registered)
+ */
+function register(name, type, help, extra = {}) {
+  if (!registry.has(name)) {
+    registry.set(name, { name, type, help, series: new Map(), collector: null, ...extra });
+  }
+  return registry.get(name);
+}
+
+/**
+ * Get (or create) the series for a label set
+ */
+function getSeries(metric, labels, initial) {
+  const key = labelKey(labels);
+  if (!metric.series.has(key)) {
+    metric.series.set(key, { labels, ...initial() });
+  }
+  return metric.series.get(key);
+}
+
+/**
+ * Create a counter
+ */
+export function createCounter(name, help) {
+  const metric = register(name, 'counter', help);
+  
+  return {
+    inc(labels = {}, amount = 1) {
+      getSeries(metric, labels, () => ({ value: 0 })).value += amount;
+    }
+  };
+}
+
+/**
+ * Create a gauge
+ * Values can be set directly, or computed at scrape time with setCollector(() => [{ labels, value }])
+ */
+export function createGauge(name, help) {
+  const metric = register(name, 'gauge', help);
+  
+  return {
+    set(labels, value) {
+      getSeries(metric, labels, () => ({ value: 0 })).value = value;
+    },
+    setCollector(collector) {
+      metric.collector = collector;
+    }
+  };
+}
+
+/**
+ * Create a histogram
+ */
+export function createHistogram(name, help, buckets = DEFAULT_BUCKETS) {
+  const metric = register(name, 'histogram', help, { buckets });
+  
+  return {
+    observe(labels, value) {
+      const series = getSeries(metric, labels, () => ({
+        counts: buckets.map(() => 0),
+        sum: 0,
+        count: 0
+      }));
+      
+      buckets.forEach((bound, i) => {
+        if (value <= bound) series.counts[i]++;
+      });
+      series.sum += value;
+      series.count++;
+    },
+    startTimer(labels) {
+      const start = process.hrtime.bigint();
+      return () => this.observe(labels, Number(process.hrtime.bigint() - start) / 1e9);
+    }
+  };
+}
+
+/**
+ * Render all metrics in the Prometheus text exposition format
+ */
+export function renderMetrics() {
+  const lines = [];
+  
+  for (const metric of registry.values()) {
+    lines.push(`# HELP ${metric.name} ${metric.help}`);
+    lines.push(`# TYPE ${metric.name} ${metric.type}`);
+    
+    if (metric.collector) {
+      for (const { labels, value } of metric.collector()) {
+        lines.push(`${metric.name}${formatLabels(labels || {})} ${value}`);
+      }
+      continue;
+    }
+    
+    for (const series of metric.series.values()) {
+      if (metric.type !== 'histogram') {
+        lines.push(`${metric.name}${formatLabels(series.labels)} ${series.value}`);
+        continue;
+      }
+      
+      metric.buckets.forEach((bound, i) => {
+        lines.push(`${metric.name}_bucket${formatLabels({ ...series.labels, le: bound })} ${series.counts[i]}`);
+      });
+      lines.push(`${metric.name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+      lines.push(`${metric.name}_sum${formatLabels(series.labels)} ${series.sum}`);
+      lines.push(`${metric.name}_count${formatLabels(series.labels)} ${series.count}`);
+    }
+  }
+  
+  return lines.join('\n') + '\n';
+}
+
+// Service metrics
+
+export const pollDuration = createHistogram(
+  'weather_poll_duration_seconds',
+  'Time spent processing one location during a poll'
+);
+
+export const upstreamRequests = createCounter(
+  'weather_upstream_requests_total',
+  'Upstream weather API requests by endpoint'
+);
+
+export const upstreamErrors = createCounter(
+  'weather_upstream_errors_total',
+  'Failed upstream weather API requests by endpoint'
+);
+
+export const fallbackReadings = createCounter(
+  'weather_fallback_total',
+  'Observations that fell back to yesterday\'s data'
+);
+
+export const alertsSent = createCounter(
+  'weather_alerts_sent_total',
+  'Alerts broadcast by type'
+);
+
+export const telegramSendFailures = createCounter(
+  'weather_telegram_send_failures_total',
+  'Telegram messages that failed to send'
+);
+
+export const telegramUsersRemoved = createCounter(
+  'weather_telegram_users_removed_total',
+  'Users removed after Telegram returned 403 (bot blocked)'
+);
+
+export const activeTrackingSessions = createGauge(
+  'weather_active_track_sessions',
+  'Active /track sessions'
+);
+
+export const observationAge = createGauge(
+  'weather_observation_age_seconds',
+  'Age of the latest observation per location'
+);
@@ -0,0 +1,60 @@
+/**
+ * Weather Data Providers
+ * Registry of data sources that return normalized observations
+ *
+ * A provider implements:
+ *   fetchObservation(location, { date, forceFresh }) -> { success, observation, localDate, isFallback, error }
+ *   fetchLatest(location)                            -> { success, observation, error }
+ *   fetchHistory(location, date)                     -> observation | null
+ *   fetchAnalysis(location, days)                    -> [{ date, highTime, sustainedCount, hourly }] | null
+ *
+ * A normalized observation looks like:
+ *   {
+ *     temp: 24.5,                      // current temperature (°C)
+ *     observedAt: '2025-12-16T14:51Z', // observation timestamp (ISO) or null
+ *     dailyMax: 25, dailyMin: 12,      // °C, or null if unknown
+ *     hourly: [{ time: '2:51 PM', temp: 24.5 }],
+ *     condition: 'Fair',
+ *     source: 'wunderground'
+ *   }
+ *
+ * Locations pick a provider with the `provider` config key (default: wunderground).
+ */
+
+import wunderground from './wunderground.js';
+import metar from './metar.js';
+
+export const DEFAULT_PROVIDER = 'wunderground';
+
+const providers = new Map();
+
+/**
+ * Register a provider under a name
+ */
+export function registerProvider(name, provider) {
+  providers.set(name, provider);
+}
+
+/**
+ * Check if a provider is registered
+ */
+export function hasProvider(name) {
+  return providers.has(name);
+}
+
+/**
+ * Get the provider configured for a location
+ */
+export function getProvider(location) {
+  const name = location.provider || DEFAULT_PROVIDER;
+  const provider = providers.get(name);
+  
+  if (!provider) {
+    throw new Error(`Unknown weather provider "${name}" for ${location.name}`);
+  }
+  
+  return provider;
+}
+
+registerProvider('wunderground', wunderground);
+registerProvider('metar', metar);
@@ -0,0 +1,199 @@
+/**
+ * METAR Provider
+ * Reads raw ASOS/METAR reports so readings keep the T-group's tenths-of-a-degree precision
+ *
+ * Station: location.station, or the last segment of apiPath (e.g. us/atlanta/KATL -> KATL)
+ */
+
+import axios from 'axios';
+import moment from 'moment-timezone';
+import { METAR_API_URL } from '../../config/locations.js';
+import { parseMetarList } from '../metar.js';
+import { nowMoment } from '../clock.js';
+
+/**
+ * Log to console only
+ */
+function debugLog(message) {
+  console.log(message);
+}
+
+/**
+ * Get the ICAO station identifier for a location
+ */
+function getStation(location) {
+  return (location.station || location.apiPath.split('/').pop()).toUpperCase();
+}
+
+/**
+ * Fetch and parse raw METARs for the last N hours, oldest first
+ */
+async function fetchReports(location, hours) {
+  const url = `${METAR_API_URL}?ids=${getStation(location)}&format=raw&hours=${hours}`;
+  const response = await axios.get(url, { timeout: 10000, responseType: 'text' });
+  
+  return parseMetarList(String(response.data))
+    .filter(report => report.temp !== null && report.observedAt)
+    .sort((a, b) => a.observedAt.localeCompare(b.observedAt));
+}
+
+/**
+ * Build a normalized observation from a day's reports
+ */
+function buildObservation(reports, location) {
+  if (reports.length === 0) return null;
+  
+  const latest = reports[reports.length - 1];
+  const temps = reports.map(r => r.temp);
+  
+  return {
+    temp: latest.temp,
+    observedAt: latest.observedAt,
+    dailyMax: Math.max(...temps),
+    dailyMin: Math.min(...temps),
+    hourly: reports.map(r => ({
+      time: moment(r.observedAt).tz(location.timezone).format('h:mm A'),
+      temp: r.temp
+    })),
+    condition: null,
+    dewpoint: latest.dewpoint,
+    wind: latest.wind,
+    hasTenths: latest.hasTenths,
+    raw: latest.raw,
+    source: 'metar'
+  };
+}
+
+/**
+ * Group reports by local date in the location's timezone
+ */
+function groupByLocalDate(reports, location) {
+  const days = new Map();
+  
+  for (const report of reports) {
+    const date = moment(report.observedAt).tz(location.timezone).format('YYYY-MM-DD');
+    if (!days.has(date)) days.set(date, []);
+    days.get(date).push(report);
+  }
+  
+  return days;
+}
+
+/**
+ * Hours of history needed to cover a local date (plus a little margin)
+ */
+function hoursBack(location, date) {
+  const startOfDay = moment.tz(date, location.timezone).startOf('day');
+  return Math.max(1, Math.ceil(nowMoment().diff(startOfDay, 'hours', true)) + 1);
+}
+
+/**
+ * Fetch the observation for a location's local date
+ * Falls back to yesterday if the station hasn't reported yet today
+ */
+async function fetchObservation(location, { date } = {}) {
+  debugLog(`\n📡 [${location.name}] METAR ${getStation(location)} (${date})`);
+  
+  try {
+    const yesterdayDate = moment.tz(date, location.timezone).subtract(1, 'day').format('YYYY-MM-DD');
+    const reports = await fetchReports(location, hoursBack(location, yesterdayDate));
+    const days = groupByLocalDate(reports, location);
+    
+    let observation = buildObservation(days.get(date) || [], location);
+    let localDate = date;
+    let isFallback = false;
+    
+    if (!observation) {
+      observation = buildObservation(days.get(yesterdayDate) || [], location);
+      localDate = yesterdayDate;
+      isFallback = true;
+      debugLog(`   ⏰ No reports yet today, using ${yesterdayDate}`);
+    }
+    
+    if (!observation) {
+      debugLog(`   ❌ No METAR reports`);
+      return { success: false, error: 'No METAR reports', localDate: date };
+    }
+    
+    debugLog(`   ✅ cur=${observation.temp}°C max=${observation.dailyMax}°C min=${observation.dailyMin}°C${observation.hasTenths ? '' : ' (whole °C)'}`);
+    debugLog(`   📋 ${observation.raw}`);
+    
+    return { success: true, observation, localDate, isFallback };
+  } catch (err) {
+    debugLog(`   ❌ Error: ${err.message}`);
+    return { success: false, error: err.message, localDate: date };
+  }
+}
+
+/**
+ * Fetch the most recent report
+ */
+async function fetchLatest(location) {
+  try {
+    const reports = await fetchReports(location, 3);
+    const latest = reports[reports.length - 1];
+    
+    if (!latest) {
+      return { success: false, error: 'No METAR reports' };
+    }
+    
+    const localDate = moment(latest.observedAt).tz(location.timezone).format('YYYY-MM-DD');
+    const today = groupByLocalDate(reports, location).get(localDate);
+    
+    return { success: true, observation: buildObservation(today, location) };
+  } catch (err) {
+    console.error(`Error fetching latest METAR for ${location.name}:`, err.message);
+    return { success: false, error: err.message };
+  }
+}
+
+/**
+ * Fetch a full local day of reports
+ */
+async function fetchHistory(location, date) {
+  try {
+    const reports = await fetchReports(location, hoursBack(location, date));
+    return buildObservation(groupByLocalDate(reports, location).get(date) || [], location);
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Build per-day hourly series for the last N days from a single request
+ */
+async function fetchAnalysis(location, days = 7) {
+  const today = nowMoment(location.timezone).format('YYYY-MM-DD');
+  const firstDate = nowMoment(location.timezone).subtract(days, 'days').format('YYYY-MM-DD');
+  
+  try {
+    debugLog(`   📊 Fetching METAR history for ${location.name} (last ${days} days)...`);
+    const reports = await fetchReports(location, hoursBack(location, firstDate));
+    const result = [];
+    
+    for (const [date, dayReports] of groupByLocalDate(reports, location)) {
+      // Skip today - it isn't finished yet
+      if (date === today || date < firstDate) continue;
+      
+      result.push({
+        date,
+        highTime: null,
+        sustainedCount: null,
+        hourly: buildObservation(dayReports, location).hourly
+      });
+    }
+    
+    return result;
+  } catch (err) {
+    debugLog(`   ❌ METAR history fetch failed: ${err.message}`);
+    return null;
+  }
+}
+
+export default {
+  name: 'metar',
+  fetchObservation,
+  fetchLatest,
+  fetchHistory,
+  fetchAnalysis
+};
@@ -0,0 +1,21 @@
+/**
+ * Provider Utilities
+ * Shared helpers for normalizing provider data
+ */
+
+/**
+ * Parse time string (e.g., "2:30 PM") to hours and minutes
+ */
+export function parseTimeString(timeStr) {
+  const match = timeStr.match(/(\d{1,2}):(\d{2})\s*(AM|PM)/i);
+  if (!match) return null;
+  
+  let hours = parseInt(match[1]);
+  const minutes = parseInt(match[2]);
+  const period = match[3].toUpperCase();
+  
+  if (period === 'PM' && hours !== 12) hours += 12;
+  if (period === 'AM' && hours === 12) hours = 0;
+  
+  return { hours, minutes };
+}
@@ -0,0 +1,282 @@
+/**
+ * Wunderground Proxy Provider
+ * Fetches data from the Railway-hosted Wunderground API proxy
+ */
+
+import axios from 'axios';
+import moment from 'moment-timezone';
+import { API_BASE_URL } from '../../config/locations.js';
+import { parseTimeString } from './utils.js';
+
+const BASE_URL = API_BASE_URL.replace('/api/weather/history', '');
+
+/**
+ * Log to console only
+ */
+function debugLog(message) {
+  console.log(message);
+}
+
+/**
+ * Extract current temperature from API response
+ * Finds the absolute most recent reading by comparing timestamps
+ */
+function extractCurrentTemp(apiResponse) {
+  // The API wraps everything in { success, data }
+  const data = apiResponse?.data || apiResponse;
+  
+  const currentTemp = data?.current?.temperature?.celsius;
+  const currentTimestamp = data?.timestamp || data?.data?.timestamp;
+  
+  // Parse all hourly_data entries and find the most recent one
+  let mostRecentHourly = null;
+  let mostRecentTime = null;
+  
+  if (data?.hourly_data && Array.isArray(data.hourly_data) && data.hourly_data.length > 0) {
+    // Find the entry with the latest time
+    for (const entry of data.hourly_data) {
+      if (entry.temperature_c !== undefined && entry.time) {
+        const parsed = parseTimeString(entry.time);
+        if (parsed) {
+          const entryTime = parsed.hours * 60 + parsed.minutes;
+          if (mostRecentTime === null || entryTime > mostRecentTime) {
+            mostRecentTime = entryTime;
+            mostRecentHourly = entry.temperature_c;
+          }
+        }
+      }
+    }
+  }
+  
+  // Compare current.temperature timestamp with hourly_data
+  // If we have a timestamp, prefer the more recent one
+  // Otherwise, prefer current.temperature (usually more recent)
+  if (typeof currentTemp === 'number') {
+    // If we have hourly data, compare times
+    if (mostRecentHourly !== null && currentTimestamp) {
+      // For now, prefer current.temperature as it's usually the API's "current" reading
+      // But log both for debugging
+      return currentTemp;
+    }
+    return currentTemp;
+  }
+  
+  if (mostRecentHourly !== null) {
+    return mostRecentHourly;
+  }
+  
+  // Other fallbacks
+  if (typeof data?.temperature?.celsius === 'number') return data.temperature.celsius;
+  if (typeof data?.temp === 'number') return data.temp;
+  
+  return null;
+}
+
+/**
+ * Extract daily high temperature from API response
+ * API structure: { success: true, data: { daily: { temperature: { max: X } } } }
+ */
+function extractDailyHigh(apiResponse) {
+  const data = apiResponse?.data || apiResponse;
+  
+  // Primary path: data.daily.temperature.max
+  if (typeof data?.daily?.temperature?.max === 'number') {
+    return data.daily.temperature.max;
+  }
+  
+  // Fallback: find max from hourly_data
+  if (data?.hourly_data && Array.isArray(data.hourly_data) && data.hourly_data.length > 0) {
+    const temps = data.hourly_data
+      .map(h => h.temperature_c)
+      .filter(t => typeof t === 'number');
+    if (temps.length > 0) {
+      return Math.max(...temps);
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Convert the proxy's hourly_data entries to { time, temp }
+ */
+function normalizeHourly(hourlyData) {
+  if (!Array.isArray(hourlyData)) return [];
+  
+  return hourlyData
+    .filter(h => typeof h.temperature_c === 'number')
+    .map(h => ({ time: h.time, temp: h.temperature_c }));
+}
+
+/**
+ * Convert a proxy API response to a normalized observation
+ */
+function normalizeObservation(apiResponse) {
+  const data = apiResponse?.data || apiResponse;
+  const temp = extractCurrentTemp(apiResponse);
+  
+  return {
+    temp: temp === null ? null : Number(temp),
+    observedAt: data?.timestamp || data?.data?.timestamp || null,
+    dailyMax: extractDailyHigh(apiResponse),
+    dailyMin: typeof data?.daily?.temperature?.min === 'number' ? data.daily.temperature.min : null,
+    hourly: normalizeHourly(data?.hourly_data),
+    condition: data?.current?.condition || null,
+    source: 'wunderground'
+  };
+}
+
+/**
+ * Fetch the observation for a location's local date
+ * Handles timezone edge cases where local date might be "future" for the API
+ */
+async function fetchObservation(location, { date, forceFresh = false } = {}) {
+  let url = `${API_BASE_URL}?location=${location.apiPath}&date=${date}`;
+  
+  // Add cache-busting parameter if we need fresh data
+  if (forceFresh) {
+    url += `&_=${Date.now()}`;
+  }
+  
+  debugLog(`\n📡 [${location.name}] ${url}`);
+  
+  try {
+    const response = await axios.get(url, { timeout: 10000 });
+    const data = response.data;
+    const observation = normalizeObservation(data);
+    
+    // Log the response details
+    const cacheHit = data?.metadata?.cache_hit;
+    const latestHourly = observation.hourly.length > 0 ? observation.hourly[observation.hourly.length - 1] : null;
+    
+    debugLog(`   ✅ cur=${observation.temp}°C max=${observation.dailyMax}°C min=${observation.dailyMin}°C`);
+    debugLog(`   📋 "${observation.condition}" | Cache: ${cacheHit ? 'HIT' : 'MISS'}`);
+    if (latestHourly) {
+      debugLog(`   📊 hourly[last]: ${latestHourly.temp}°C at ${latestHourly.time}`);
+    }
+    
+    return {
+      success: true,
+      observation,
+      localDate: date
+    };
+  } catch (err) {
+    // If the API says date is in the future, try yesterday's date
+    if (err.response?.status === 400) {
+      const responseData = err.response?.data;
+      const isFutureDateError = responseData?.error?.details?.some(
+        d => d.message?.includes('future')
+      );
+      
+      if (isFutureDateError) {
+        // Try with yesterday's date (API might not have today's data yet)
+        const yesterdayDate = moment.tz(date, location.timezone).subtract(1, 'day').format('YYYY-MM-DD');
+        const fallbackUrl = `${API_BASE_URL}?location=${location.apiPath}&date=${yesterdayDate}`;
+        
+        debugLog(`   ⏰ Future date, using ${yesterdayDate}`);
+        
+        try {
+          const fallbackResponse = await axios.get(fallbackUrl, { timeout: 10000 });
+          const observation = normalizeObservation(fallbackResponse.data);
+          
+          // Log fallback response
+          debugLog(`   ✅ cur=${observation.temp}°C max=${observation.dailyMax}°C`);
+          debugLog(`   📋 "${observation.condition}"`);
+          
+          return {
+            success: true,
+            observation,
+            localDate: yesterdayDate,
+            isFallback: true
+          };
+        } catch (fallbackErr) {
+          debugLog(`   ❌ Fallback failed: ${fallbackErr.message}`);
+        }
+      }
+    }
+    
+    debugLog(`   ❌ Error: ${err.message}`);
+    if (err.response?.data) {
+      debugLog(`   📄 ${JSON.stringify(err.response.data)}`);
+    }
+    
+    return {
+      success: false,
+      error: err.message,
+      localDate: date
+    };
+  }
+}
+
+/**
+ * Fetch latest weather data using the /latest endpoint
+ * More accurate for real-time tracking
+ */
+async function fetchLatest(location) {
+  const url = `${BASE_URL}/api/weather/latest?location=${location.apiPath}`;
+  
+  try {
+    const response = await axios.get(url, { timeout: 10000 });
+    return {
+      success: true,
+      observation: normalizeObservation(response.data)
+    };
+  } catch (err) {
+    console.error(`Error fetching latest data for ${location.name}:`, err.message);
+    return {
+      success: false,
+      error: err.message
+    };
+  }
+}
+
+/**
+ * Fetch historical data for a location for a specific date
+ */
+async function fetchHistory(location, date) {
+  const url = `${API_BASE_URL}?location=${location.apiPath}&date=${date}`;
+  
+  try {
+    const response = await axios.get(url, { timeout: 10000 });
+    return normalizeObservation(response.data);
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Fetch analyzed temperature data for last N days
+ * Uses the analysis endpoint: /api/analysis/temperature
+ * Handles different possible response structures
+ */
+async function fetchAnalysis(location, days = 7) {
+  const url = `${BASE_URL}/api/analysis/temperature?location=${location.apiPath}&days=${days}`;
+  
+  try {
+    debugLog(`   📊 Fetching analysis for ${location.name} (last ${days} days)...`);
+    const response = await axios.get(url, { timeout: 15000 });
+    const analysisData = response.data;
+    
+    // Try different possible response structures
+    const dailyData = analysisData?.data || analysisData?.daily || analysisData?.days || [];
+    if (!Array.isArray(dailyData)) return [];
+    
+    return dailyData.map(day => ({
+      date: day.date || null,
+      highTime: day.high_time || day.max_time || null,
+      sustainedCount: day.sustained_count ?? day.high_duration_readings ?? null,
+      hourly: day.hourly_data ? normalizeHourly(day.hourly_data) : null
+    }));
+  } catch (err) {
+    debugLog(`   ❌ Analysis fetch failed: ${err.message}`);
+    return null;
+  }
+}
+
+export default {
+  name: 'wunderground',
+  fetchObservation,
+  fetchLatest,
+  fetchHistory,
+  fetchAnalysis
+};
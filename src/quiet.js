@@ -0,0 +1,138 @@
+/**
+ * Quiet Hours & Snooze
+ * Per-user suppression of market alerts, with an optional catch-up summary afterwards
+ *
+ * User fields (users.json):
+ * - quietHours: { start: 'HH:mm', end: 'HH:mm' } in the user's display timezone (may span midnight)
+ * - snoozes: { locationId | 'all': ISO time the snooze ends }
+ * - suppressMode: 'queue' (default, deliver a catch-up summary later) or 'drop'
+ * - zoneBreakthrough: let alerts fired inside the market's attention zone through anyway
+ * - queuedAlerts: [{ locationId, type, temp, time, date, ... }]
+ */
+
+import moment from 'moment-timezone';
+import { queueUserAlert, setUserQueuedAlerts } from './state.js';
+import { getTimezoneForUser } from './timezones.js';
+import { nowDate } from './clock.js';
+
+export const DEFAULT_SUPPRESS_MODE = 'queue';
+
+export const SUPPRESS_MODES = ['queue', 'drop'];
+
+/**
+ * Parse "HH:mm" to minutes since midnight
+ */
+function parseClockTime(value) {
+  const match = value?.match(/^(\d{1,2}):(\d{2})$/);
+  if (!match) return null;
+  
+  const hours = parseInt(match[1], 10);
+  const minutes = parseInt(match[2], 10);
+  if (hours > 23 || minutes > 59) return null;
+  
+  return hours * 60 + minutes;
+}
+
+/**
+ * Parse a quiet-hours range like "22:00-07:00"
+ * Returns { start, end } or null
+ */
+export function parseQuietRange(value) {
+  const match = value?.trim().match(/^(\d{1,2}:\d{2})\s*-\s*(\d{1,2}:\d{2})$/);
+  if (!match) return null;
+  
+  const start = parseClockTime(match[1]);
+  const end = parseClockTime(match[2]);
+  if (start === null || end === null || start === end) return null;
+  
+  const format = (minutes) => `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+  return { start: format(start), end: format(end) };
+}
+
+/**
+ * Parse a duration like "45m", "2h", "1h30m" or "1d" to milliseconds
+ */
+export function parseDuration(value) {
+  const text = value?.trim().toLowerCase();
+  if (!text || !/^(\d+[dhm])+$/.test(text)) return null;
+  
+  const factors = { d: 86400000, h: 3600000, m: 60000 };
+  let total = 0;
+  for (const [, amount, unit] of text.matchAll(/(\d+)([dhm])/g)) {
+    total += parseInt(amount, 10) * factors[unit];
+  }
+  
+  return total > 0 ? total : null;
+}
+
+/**
+ * Check if a time falls inside a user's quiet hours (in their timezone)
+ */
+export function isInQuietHours(user, at = nowDate()) {
+  const quiet = user?.quietHours;
+  if (!quiet) return false;
+  
+  const local = moment(at).tz(getTimezoneForUser(user));
+  const minutes = local.hour() * 60 + local.minute();
+  const start = parseClockTime(quiet.start);
+  const end = parseClockTime(quiet.end);
+  
+  // Ranges like 22:00-07:00 wrap past midnight
+  return start < end
+    ? minutes >= start && minutes < end
+    : minutes >= start || minutes < end;
+}
+
+/**
+ * Get when a user's snooze for a market ends (market-specific or 'all'), or null
+ */
+export function getSnoozeEnd(user, locationId, at = nowDate()) {
+  const ends = [user?.snoozes?.[locationId], user?.snoozes?.all]
+    .filter(Boolean)
+    .map(until => new Date(until))
+    .filter(until => until > at);
+  
+  if (ends.length === 0) return null;
+  return new Date(Math.max(...ends));
+}
+
+/**
+ * Why a market alert should be held back for a user ('quiet' | 'snooze'), or null to send it
+ */
+export function getSuppression(user, locationId, { inAttentionZone = false } = {}, at = nowDate()) {
+  if (inAttentionZone && user?.zoneBreakthrough) return null;
+  if (getSnoozeEnd(user, locationId, at)) return 'snooze';
+  if (isInQuietHours(user, at)) return 'quiet';
+  return null;
+}
+
+/**
+ * Get a user's handling for suppressed alerts
+ */
+export function getSuppressMode(user) {
+  return SUPPRESS_MODES.includes(user?.suppressMode) ? user.suppressMode : DEFAULT_SUPPRESS_MODE;
+}
+
+/**
+ * Hold back an alert for a user: queue it for the catch-up summary, or drop it
+ */
+export function suppressAlert(user, entry) {
+  if (getSuppressMode(user) === 'queue') {
+    queueUserAlert(user.chatId, entry);
+  }
+}
+
+/**
+ * Take the queued alerts that can now be delivered (their market is no longer suppressed)
+ * Removes them from the user's queue and returns them
+ */
+export function takeDeliverableAlerts(user, at = nowDate()) {
+  const queued = user?.queuedAlerts || [];
+  if (queued.length === 0) return [];
+  
+  const deliverable = queued.filter(entry => !getSuppression(user, entry.locationId, {}, at));
+  if (deliverable.length === 0) return [];
+  
+  setUserQueuedAlerts(user.chatId, queued.filter(entry => !deliverable.includes(entry)));
+  return deliverable;
+}
@@ -0,0 +1,105 @@
+/**
+ * Rate of Change
+ * Temperature slope over a trailing window of the day's readings, for rapid rise/fall alerts
+ *
+ * Location config:
+ *   rateWindowMinutes: 60   // trailing window the slope is fitted over
+ *   rateThreshold: 2        // °C per hour (either direction) that counts as rapid; 0 = off (default)
+ *
+ * The slope is a least-squares fit over the readings in the window, so a single
+ * noisy reading moves it less than a first-to-last difference would. Readings are
+ * placed at their observation time, and repeated polls of one observation count once.
+ */
+
+// Off until a market sets a threshold
+export const DEFAULT_RATE_SETTINGS = { rateWindowMinutes: 60, rateThreshold: 0 };
+
+export const RATE_FIELDS = Object.keys(DEFAULT_RATE_SETTINGS);
+
+// The window must be at least this full before a slope is trusted
+const MIN_WINDOW_COVERAGE = 0.5;
+
+// Once fired, the slope must fall back below this share of the threshold to re-arm
+export const REARM_FRACTION = 0.5;
+
+/**
+ * Validate rate settings (any subset of the fields)
+ * Returns an error message, or null if valid
+ */
+export function validateRateSettings(settings) {
+  const window = settings.rateWindowMinutes;
+  if (window !== undefined && (!Number.isInteger(window) || window < 10 || window > 360)) {
+    return 'rateWindowMinutes must be a whole number from 10 to 360';
+  }
+  
+  const threshold = settings.rateThreshold;
+  if (threshold !== undefined && (typeof threshold !== 'number' || isNaN(threshold) || threshold < 0)) {
+    return 'rateThreshold must be a number ≥ 0 (°C per hour)';
+  }
+  
+  return null;
+}
+
+/**
+ * Get the rate settings for a location
+ */
+export function getRateSettings(location) {
+  const settings = { ...DEFAULT_RATE_SETTINGS };
+  for (const field of RATE_FIELDS) {
+    if (location?.[field] !== undefined && location[field] !== null) {
+      settings[field] = location[field];
+    }
+  }
+  return settings;
+}
+
+/**
+ * When a history entry was observed (poll time for entries without an observation time)
+ */
+function getObservedTime(entry) {
+  return new Date(entry.observedAt || entry.timestamp).getTime();
+}
+
+/**
+ * Fit the temperature slope over the trailing window ending at an observation time
+ * @param {Array} history - Day state history: [{ temp, time, timestamp, observedAt }]
+ * @returns {number|null} °C per hour, or null if the window doesn't hold enough readings
+ */
+export function computeSlope(history, observedAt, windowMinutes) {
+  const end = new Date(observedAt).getTime();
+  const start = end - windowMinutes * 60000;
+  
+  // One point per observation (the latest poll of it wins)
+  const byObservation = new Map();
+  for (const entry of history || []) {
+    const ms = getObservedTime(entry);
+    if (typeof entry.temp === 'number' && ms >= start && ms <= end) {
+      byObservation.set(ms, entry.temp);
+    }
+  }
+  
+  const points = [...byObservation]
+    .sort((a, b) => a[0] - b[0])
+    .map(([ms, temp]) => ({ hours: (ms - end) / 3600000, temp }));
+  
+  if (points.length < 2) return null;
+  
+  const span = points[points.length - 1].hours - points[0].hours;
+  if (span * 60 < windowMinutes * MIN_WINDOW_COVERAGE) return null;
+  
+  const meanX = points.reduce((sum, p) => sum + p.hours, 0) / points.length;
+  const meanY = points.reduce((sum, p) => sum + p.temp, 0) / points.length;
+  const covariance = points.reduce((sum, p) => sum + (p.hours - meanX) * (p.temp - meanY), 0);
+  const variance = points.reduce((sum, p) => sum + (p.hours - meanX) ** 2, 0);
+  
+  return variance > 0 ? covariance / variance : null;
+}
+
+/**
+ * Project a temperature forward along a slope
+ * @returns {number|null} Projected °C (one decimal), or null if the target is not ahead
+ */
+export function projectTemp(temp, slopePerHour, minutesAhead) {
+  if (slopePerHour === null || minutesAhead <= 0) return null;
+  return Math.round((temp + slopePerHour * minutesAhead / 60) * 10) / 10;
+}
@@ -0,0 +1,260 @@
+/**
+ * Simulation Harness
+ * Runs the real polling and alert pipeline against a scripted local stand-in for the
+ * weather API, on a simulated clock, capturing Telegram messages instead of sending them
+ *
+ * Usage:
+ *   node src/simulate.js <scenario.json> [--out result.json]
+ *
+ * Scenario:
+ *   {
+ *     "start": "2026-07-14T08:00:00-04:00",
+ *     "end": "2026-07-15T01:00:00-04:00",
+ *     "locations": {
+ *       "nyc": { "hysteresis": { "minRise": 0.5 }, "readings": [{ "local": "2026-07-14 09:51", "temp": 24.4 }, { "at": "2026-07-14T14:51:00Z", "temp": 25 }] }
+ *     },
+ *     "users": [{ "chatId": 1, "units": "F", "timezone": "America/New_York", "quietHours": { "start": "22:00", "end": "07:00" } }]
+ *   }
+ *
+ * The clock jumps from poll to poll exactly as the live schedule would (:00:10, :05:10, ...).
+ * Readings become visible to the stand-in API once the clock passes their time, grouped by
+ * the location's local date, and requests for a future local date (or for today before its
+ * first reading) get the upstream's "future date" 400 - so day rollovers, fallbacks and
+ * attention-zone boundaries behave as in production.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import http from 'http';
+import { fileURLToPath } from 'url';
+import moment from 'moment-timezone';
+import { now, nowMoment, setSimulatedTime, advanceClock, useRealClock } from './clock.js';
+
+/**
+ * Resolve scenario readings to [{ ts (ms), temp }] sorted by time
+ */
+function resolveReadings(readings, timezone) {
+  return (readings || [])
+    .map(reading => ({
+      ts: reading.at
+        ? new Date(reading.at).getTime()
+        : moment.tz(reading.local, 'YYYY-MM-DD HH:mm', timezone).valueOf(),
+      temp: reading.temp
+    }))
+    .filter(reading => !isNaN(reading.ts))
+    .sort((a, b) => a.ts - b.ts);
+}
+
+/**
+ * Build a Wunderground-proxy style response from readings
+ */
+function toApiResponse(readings, timezone) {
+  const last = readings[readings.length - 1];
+  const temps = readings.map(r => r.temp).filter(t => typeof t === 'number');
+  
+  return {
+    success: true,
+    data: {
+      timestamp: last ? new Date(last.ts).toISOString() : null,
+      current: last ? { temperature: { celsius: last.temp }, condition: 'Simulated' } : null,
+      daily: temps.length > 0
+        ? { temperature: { max: Math.max(...temps), min: Math.min(...temps) } }
+        : null,
+      hourly_data: readings.map(r => ({
+        time: moment(r.ts).tz(timezone).format('h:mm A'),
+        temperature_c: r.temp
+      }))
+    },
+    metadata: { cache_hit: false }
+  };
+}
+
+/**
+ * Start the scripted stand-in for the weather API
+ * Serves /api/weather/history, /api/weather/latest and /api/analysis/temperature
+ * @param {Array} feeds - [{ location, readings: [{ ts, temp }] }]
+ * @returns {Promise<http.Server>}
+ */
+export function startMockUpstream(feeds) {
+  // Readings already "observed" at the simulated time, optionally for one local date
+  const visibleReadings = (feed, date = null) => feed.readings.filter(r =>
+    r.ts <= now() &&
+    (date === null || moment(r.ts).tz(feed.location.timezone).format('YYYY-MM-DD') === date)
+  );
+  
+  const send = (res, status, body) => {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  };
+  
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const feed = feeds.find(f => f.location.apiPath === url.searchParams.get('location'));
+    
+    if (!feed) {
+      send(res, 404, { success: false, error: { message: 'Unknown location' } });
+      return;
+    }
+    
+    const timezone = feed.location.timezone;
+    const today = nowMoment(timezone).format('YYYY-MM-DD');
+    
+    if (url.pathname === '/api/weather/history') {
+      const date = url.searchParams.get('date');
+      if (date > today || (date === today && visibleReadings(feed, date).length === 0)) {
+        send(res, 400, { success: false, error: { details: [{ message: 'Date cannot be in the future' }] } });
+        return;
+      }
+      send(res, 200, toApiResponse(visibleReadings(feed, date), timezone));
+      return;
+    }
+    
+    if (url.pathname === '/api/weather/latest') {
+      send(res, 200, toApiResponse(visibleReadings(feed, today), timezone));
+      return;
+    }
+    
+    if (url.pathname === '/api/analysis/temperature') {
+      const days = Number(url.searchParams.get('days') || 7);
+      const data = [];
+      for (let i = days; i >= 1; i--) {
+        const date = nowMoment(timezone).subtract(i, 'days').format('YYYY-MM-DD');
+        const readings = visibleReadings(feed, date);
+        if (readings.length > 0) {
+          data.push({ date, hourly_data: toApiResponse(readings, timezone).data.hourly_data });
+        }
+      }
+      send(res, 200, { success: true, data });
+      return;
+    }
+    
+    send(res, 404, { success: false, error: { message: 'Not found' } });
+  });
+  
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(0, '127.0.0.1', () => resolve(server));
+  });
+}
+
+/**
+ * Run a scenario end to end
+ * @param {object} scenario
+ * @param {object} options - { keepDataDir: leave the state files and archive in place for inspection }
+ * @returns {object} { polls, messages: [{ chatId, text, at }], alerts: { type: count }, dataDir? }
+ */
+export async function runSimulation(scenario, { keepDataDir = false } = {}) {
+  setSimulatedTime(scenario.start);
+  
+  // Feeds are filled in once the location configs are loaded
+  const feeds = [];
+  const server = await startMockUpstream(feeds);
+  
+  // Point everything at the stand-in and a throwaway data directory before the app modules load
+  process.env.WEATHER_API_URL = `http://127.0.0.1:${server.address().port}/api/weather/history`;
+  process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'weather-sim-'));
+  process.env.TELEGRAM_BOT_TOKEN = process.env.TELEGRAM_BOT_TOKEN || 'simulation';
+  process.env.WEBHOOK_URLS = '';
+  
+  const { locations } = await import('../config/locations.js');
+  
+  for (const [locationId, spec] of Object.entries(scenario.locations || {})) {
+    const location = locations.find(l => l.id === locationId);
+    if (!location) throw new Error(`Unknown location "${locationId}"`);
+    feeds.push({
+      // Optional per-scenario alert sensitivity (minRise, minDrop, dropConfirmReadings)
+      location: spec.hysteresis ? { ...location, ...spec.hysteresis } : location,
+      readings: resolveReadings(spec.readings, location.timezone)
+    });
+  }
+  
+  const { addUser, updateUserUnits, updateUserTimezone, updateUserQuietSettings, updateUserHysteresis } = await import('./state.js');
+  const { captureMessages } = await import('./telegram.js');
+  const { pollAllLocations, refreshAttentionZone, getMillisUntilNextPoll } = await import('./weather.js');
+  const { subscribeEvents } = await import('./events.js');
+  
+  // Only poll the scripted locations
+  locations.splice(0, locations.length, ...feeds.map(f => f.location));
+  
+  for (const user of scenario.users || [{ chatId: 1 }]) {
+    addUser(user.chatId, user.username || `sim${user.chatId}`, locations.map(l => l.id));
+    if (user.units) updateUserUnits(user.chatId, user.units);
+    if (user.timezone) updateUserTimezone(user.chatId, user.timezone);
+    
+    const { quietHours, suppressMode, zoneBreakthrough } = user;
+    updateUserQuietSettings(user.chatId, { quietHours, suppressMode, zoneBreakthrough });
+    if (user.hysteresis) updateUserHysteresis(user.chatId, user.hysteresis);
+  }
+  
+  const messages = captureMessages();
+  const alerts = {};
+  const unsubscribe = subscribeEvents(event => {
+    if (event.type === 'alert') alerts[event.data.type] = (alerts[event.data.type] || 0) + 1;
+  });
+  
+  for (const location of locations) {
+    await refreshAttentionZone(location);
+  }
+  
+  const end = new Date(scenario.end).getTime();
+  let polls = 0;
+  
+  try {
+    while (true) {
+      advanceClock(getMillisUntilNextPoll());
+      if (now() > end) break;
+      
+      await pollAllLocations();
+      polls++;
+    }
+  } finally {
+    unsubscribe();
+    server.close();
+    useRealClock();
+    if (!keepDataDir) fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+  }
+  
+  return {
+    polls,
+    messages: messages.map(({ chatId, text, at }) => ({ chatId, text, at })),
+    alerts,
+    ...(keepDataDir ? { dataDir: process.env.DATA_DIR } : {})
+  };
+}
+
+/**
+ * CLI entry point
+ */
+async function main() {
+  const args = process.argv.slice(2);
+  const outIndex = args.indexOf('--out');
+  const outFile = outIndex !== -1 ? args[outIndex + 1] : null;
+  const scenarioFile = args.find((arg, i) => !arg.startsWith('--') && i !== outIndex + 1);
+  
+  if (!scenarioFile) {
+    console.log('Usage: node src/simulate.js <scenario.json> [--out result.json]');
+    process.exit(1);
+  }
+  
+  const scenario = JSON.parse(fs.readFileSync(scenarioFile, 'utf8'));
+  const result = await runSimulation(scenario);
+  
+  console.log(`\n🧪 Simulation finished: ${result.polls} poll(s), ${result.messages.length} message(s)`);
+  for (const message of result.messages) {
+    console.log(`\n── ${message.at} → ${message.chatId}\n${message.text}`);
+  }
+  
+  if (outFile) {
+    fs.writeFileSync(outFile, JSON.stringify(result, null, 2));
+    console.log(`\n💾 Written to ${outFile}`);
+  }
+}
+
+// Only run when executed directly (not when imported)
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  main().catch(err => {
+    console.error('❌ Simulation failed:', err.message);
+    process.exit(1);
+  });
+}
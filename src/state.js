@@ -6,9 +6,13 @@
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { nowDate } from './clock.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
-const DATA_DIR = path.join(__dirname, '..', 'data');
+// Override with DATA_DIR to keep runtime files elsewhere (e.g. simulations)
+export const DATA_DIR = process.env.DATA_DIR
+  ? path.resolve(process.env.DATA_DIR)
+  : path.join(__dirname, '..', 'data');
 
 // Ensure data directory exists
 if (!fs.existsSync(DATA_DIR)) {
@@ -29,6 +33,27 @@ function getUsersFilePath() {
   return path.join(DATA_DIR, 'users.json');
 }
 
+/**
+ * Get markets file path (runtime-managed locations)
+ */
+function getMarketsFilePath() {
+  return path.join(DATA_DIR, 'markets.json');
+}
+
+/**
+ * Get tracking sessions file path (live /track messages)
+ */
+function getTrackingsFilePath() {
+  return path.join(DATA_DIR, 'trackings.json');
+}
+
+/**
+ * Check if a state file exists for a location and date
+ */
+export function hasLocationState(locationId, date) {
+  return fs.existsSync(getStateFilePath(locationId, date));
+}
+
 /**
  * Load state for a specific location and date
  * Returns: { highTemp: number|null, hasAlertedDrop: boolean, lastTemp: number|null }
@@ -72,12 +97,12 @@ export function saveLocationState(locationId, date, state) {
  */
 export function cleanupOldStateFiles() {
   const files = fs.readdirSync(DATA_DIR);
-  const twoDaysAgo = new Date();
+  const twoDaysAgo = nowDate();
   twoDaysAgo.setDate(twoDaysAgo.getDate() - 2);
   
   files.forEach(file => {
-    // Skip users.json
-    if (file === 'users.json') return;
+    // Skip users.json, markets.json and trackings.json
+    if (file === 'users.json' || file === 'markets.json' || file === 'trackings.json') return;
     
     // Extract date from filename (format: locationId_YYYY-MM-DD.json)
     const match = file.match(/_(\d{4}-\d{2}-\d{2})\.json$/);
@@ -92,6 +117,68 @@ export function cleanupOldStateFiles() {
   });
 }
 
+/**
+ * Load persisted market definitions
+ * Returns null if markets have never been edited at runtime
+ */
+export function loadMarkets() {
+  const filePath = getMarketsFilePath();
+  
+  if (fs.existsSync(filePath)) {
+    try {
+      return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (err) {
+      console.error('Error reading markets:', err.message);
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Save market definitions
+ */
+export function saveMarkets(markets) {
+  const filePath = getMarketsFilePath();
+  
+  try {
+    fs.writeFileSync(filePath, JSON.stringify(markets, null, 2));
+  } catch (err) {
+    console.error('Error saving markets:', err.message);
+  }
+}
+
+/**
+ * Load persisted /track sessions
+ * Returns: [{ chatId, locationId, messageId, lastTemp }]
+ */
+export function loadTrackings() {
+  const filePath = getTrackingsFilePath();
+  
+  if (fs.existsSync(filePath)) {
+    try {
+      return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (err) {
+      console.error('Error reading trackings:', err.message);
+    }
+  }
+  
+  return [];
+}
+
+/**
+ * Save /track sessions
+ */
+export function saveTrackings(trackings) {
+  const filePath = getTrackingsFilePath();
+  
+  try {
+    fs.writeFileSync(filePath, JSON.stringify(trackings, null, 2));
+  } catch (err) {
+    console.error('Error saving trackings:', err.message);
+  }
+}
+
 /**
  * Load registered Telegram users
  */
@@ -137,7 +224,7 @@ export function addUser(chatId, username = null, defaultMarkets = []) {
     users.push({
       chatId,
       username,
-      registeredAt: new Date().toISOString(),
+      registeredAt: nowDate().toISOString(),
       enabledMarkets
     });
     saveUsers(users);
@@ -171,6 +258,197 @@ export function updateUserMarkets(chatId, enabledMarkets) {
   return false;
 }
 
+/**
+ * Update user's temperature unit preference ('C' or 'F')
+ */
+export function updateUserUnits(chatId, units) {
+  const users = loadUsers();
+  const userIndex = users.findIndex(u => u.chatId === chatId);
+  
+  if (userIndex !== -1) {
+    users[userIndex].units = units;
+    saveUsers(users);
+    return true;
+  }
+  
+  return false;
+}
+
+/**
+ * Update user's display timezone (IANA zone name)
+ */
+export function updateUserTimezone(chatId, timezone) {
+  const users = loadUsers();
+  const userIndex = users.findIndex(u => u.chatId === chatId);
+  
+  if (userIndex !== -1) {
+    users[userIndex].timezone = timezone;
+    saveUsers(users);
+    return true;
+  }
+  
+  return false;
+}
+
+/**
+ * Update a user's quiet-hours settings
+ * @param {object} changes - Any of { quietHours: { start, end } | null, suppressMode: 'drop'|'queue', zoneBreakthrough }
+ */
+export function updateUserQuietSettings(chatId, changes) {
+  const users = loadUsers();
+  const userIndex = users.findIndex(u => u.chatId === chatId);
+  
+  if (userIndex !== -1) {
+    Object.assign(users[userIndex], changes);
+    saveUsers(users);
+    return true;
+  }
+  
+  return false;
+}
+
+/**
+ * Merge new high/drop sensitivity overrides into a user's settings, or clear them with null
+ * @param {object|null} settings - Any of { minRise, minDrop, dropConfirmReadings } (°C)
+ */
+export function updateUserHysteresis(chatId, settings) {
+  const users = loadUsers();
+  const userIndex = users.findIndex(u => u.chatId === chatId);
+  
+  if (userIndex !== -1) {
+    if (settings) {
+      users[userIndex].hysteresis = { ...users[userIndex].hysteresis, ...settings };
+    } else {
+      delete users[userIndex].hysteresis;
+    }
+    saveUsers(users);
+    return true;
+  }
+  
+  return false;
+}
+
+/**
+ * Snooze a market (or 'all') for a user until a time, or clear it with null
+ */
+export function updateUserSnooze(chatId, target, until) {
+  const users = loadUsers();
+  const userIndex = users.findIndex(u => u.chatId === chatId);
+  
+  if (userIndex === -1) return false;
+  
+  const snoozes = { ...(users[userIndex].snoozes || {}) };
+  if (until) {
+    snoozes[target] = until;
+  } else {
+    delete snoozes[target];
+  }
+  
+  users[userIndex].snoozes = snoozes;
+  saveUsers(users);
+  return true;
+}
+
+/**
+ * Add an alert to a user's catch-up queue
+ */
+export function queueUserAlert(chatId, entry) {
+  const users = loadUsers();
+  const userIndex = users.findIndex(u => u.chatId === chatId);
+  
+  if (userIndex !== -1) {
+    users[userIndex].queuedAlerts = [...(users[userIndex].queuedAlerts || []), entry];
+    saveUsers(users);
+    return true;
+  }
+  
+  return false;
+}
+
+/**
+ * Replace a user's catch-up queue
+ */
+export function setUserQueuedAlerts(chatId, queuedAlerts) {
+  const users = loadUsers();
+  const userIndex = users.findIndex(u => u.chatId === chatId);
+  
+  if (userIndex !== -1) {
+    users[userIndex].queuedAlerts = queuedAlerts;
+    saveUsers(users);
+    return true;
+  }
+  
+  return false;
+}
+
+/**
+ * Get a user's threshold alert rules
+ * Returns: [{ id, locationId, direction: 'above'|'below', temp (°C), units, recurring, armed, createdAt }]
+ */
+export function getUserThresholds(chatId) {
+  return getUser(chatId)?.thresholds || [];
+}
+
+/**
+ * Add a threshold alert rule for a user
+ * Returns the stored rule (with its id), or null if the user isn't registered
+ */
+export function addUserThreshold(chatId, rule) {
+  const users = loadUsers();
+  const userIndex = users.findIndex(u => u.chatId === chatId);
+  
+  if (userIndex === -1) return null;
+  
+  const thresholds = users[userIndex].thresholds || [];
+  const id = thresholds.reduce((max, t) => Math.max(max, t.id), 0) + 1;
+  const stored = { id, ...rule, armed: true, createdAt: nowDate().toISOString() };
+  
+  users[userIndex].thresholds = [...thresholds, stored];
+  saveUsers(users);
+  return stored;
+}
+
+/**
+ * Update fields of a user's threshold rule
+ */
+export function updateUserThreshold(chatId, id, changes) {
+  const users = loadUsers();
+  const user = users.find(u => u.chatId === chatId);
+  const rule = user?.thresholds?.find(t => t.id === id);
+  
+  if (!rule) return false;
+  
+  Object.assign(rule, changes);
+  saveUsers(users);
+  return true;
+}
+
+/**
+ * Delete a user's threshold rule
+ */
+export function removeUserThreshold(chatId, id) {
+  const users = loadUsers();
+  const user = users.find(u => u.chatId === chatId);
+  
+  if (!user?.thresholds?.some(t => t.id === id)) return false;
+  
+  user.thresholds = user.thresholds.filter(t => t.id !== id);
+  saveUsers(users);
+  return true;
+}
+
+/**
+ * Get every user's threshold rules for a market
+ * Returns: [{ user, rule }]
+ */
+export function getThresholdsForLocation(locationId) {
+  return loadUsers().flatMap(user =>
+    (user.thresholds || [])
+      .filter(rule => rule.locationId === locationId)
+      .map(rule => ({ user, rule }))
+  );
+}
+
 /**
  * Toggle a specific market for a user
  */
@@ -184,8 +462,8 @@ export function toggleUserMarket(chatId, marketId) {
       user.enabledMarkets = {};
     }
     
-    // Toggle the market
-    user.enabledMarkets[marketId] = !user.enabledMarkets[marketId];
+    // Toggle from the effective setting (markets with no entry count as enabled)
+    user.enabledMarkets[marketId] = !isMarketEnabled(chatId, marketId);
     saveUsers(users);
     
     return user.enabledMarkets[marketId];
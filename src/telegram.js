@@ -5,19 +5,165 @@
 
 import TelegramBot from 'node-telegram-bot-api';
 import moment from 'moment-timezone';
-import { TELEGRAM_BOT_TOKEN } from '../config/telegram.js';
-import { addUser, removeUser, loadUsers, getUser, toggleUserMarket, getUsersForMarket } from './state.js';
+import { TELEGRAM_BOT_TOKEN, ADMIN_CHAT_IDS } from '../config/telegram.js';
+import { addUser, removeUser, loadUsers, getUser, toggleUserMarket, getUsersForMarket, updateUserUnits, updateUserTimezone, loadTrackings, saveTrackings, getUserThresholds, addUserThreshold, removeUserThreshold, updateUserQuietSettings, updateUserSnooze, updateUserHysteresis, isMarketEnabled } from './state.js';
 import { locations } from '../config/locations.js';
-import { getAllAttentionZonesWithLisbon, fetchLatestWeatherData, extractCurrentTemp, getLocalTime } from './weather.js';
+import { getAllAttentionZonesForTimezone, getAllAttentionZones, getAttentionZoneInfo, getLocalTime, getHighForecast, testLocationFetch, refreshAttentionZone, forgetLocation } from './weather.js';
+import { getMarket, addMarket, updateMarket, removeMarket, validateMarket, parseMarketField, EDITABLE_FIELDS } from './markets.js';
+import { parseUnits, formatTemp, formatTempChange, getUnitsForUser, convertTemp } from './units.js';
+import { parseTimezone, getTimezoneForUser, formatTimeInZone } from './timezones.js';
+import { formatForecastLines, formatExpectedHigh } from './forecast.js';
+import { getDayHistory } from './archive.js';
+import { renderDayChart } from './chart.js';
+import { parseTimeString } from './providers/utils.js';
+import { subscribeTracking, unsubscribeTracking } from './tracker.js';
+import { nowDate, nowMoment } from './clock.js';
+import { parseThresholdArgs, buildThresholdRule, formatThresholdRule } from './thresholds.js';
+import { parseQuietRange, parseDuration, getSuppressMode, SUPPRESS_MODES } from './quiet.js';
+import { parseHysteresisArgs, formatHysteresis, getHysteresis, hasHysteresisOverride, DEFAULT_HYSTERESIS } from './hysteresis.js';
+import { telegramSendFailures, telegramUsersRemoved, activeTrackingSessions } from './metrics.js';
 
 let bot = null;
 
-// Track active tracking sessions
+// Track active tracking sessions (persisted to data/trackings.json)
 // Format: { chatId: { locationId: { messageId, lastTemp, lastUpdateTime } } }
 const activeTrackings = new Map();
 
-// Track intervals for cleanup
-const trackingIntervals = new Map();
+// Outgoing messages recorded instead of sent (simulation mode)
+// Format: [{ chatId, text, options, at }]
+let capturedMessages = null;
+
+// Readings per /history page
+const HISTORY_PAGE_SIZE = 20;
+
+// Last /markets keyboard message per chat (refreshed when markets change)
+// Format: { chatId: messageId }
+const marketsKeyboardMessages = new Map();
+
+// Count active /track sessions (one per chat + location) for /metrics
+activeTrackingSessions.setCollector(() => {
+  let count = 0;
+  for (const userTrackings of activeTrackings.values()) {
+    count += userTrackings.size;
+  }
+  return [{ labels: {}, value: count }];
+});
+
+/**
+ * Find a location by name (case-insensitive, partial match)
+ */
+function findLocationByName(cityName) {
+  return locations.find(loc => 
+    loc.name.toLowerCase().includes(cityName.toLowerCase()) ||
+    cityName.toLowerCase().includes(loc.name.toLowerCase())
+  ) || null;
+}
+
+/**
+ * Build one page of /history output for a location and date
+ * Returns: { text, keyboard } (keyboard is null when everything fits on one page)
+ */
+function buildHistoryPage(location, date, page, units) {
+  const { history, alerts } = getDayHistory(location, date);
+  
+  if (history.length === 0) {
+    return {
+      text: `📜 No readings for ${location.emoji} ${location.name} on ${date}.`,
+      keyboard: null
+    };
+  }
+  
+  // Mark the first reading that hit the day's high
+  const maxTemp = Math.max(...history.map(h => Number(h.temp)));
+  const highIndex = history.findIndex(h => Number(h.temp) === maxTemp);
+  
+  const totalPages = Math.ceil(history.length / HISTORY_PAGE_SIZE);
+  const currentPage = Math.min(Math.max(page, 0), totalPages - 1);
+  const start = currentPage * HISTORY_PAGE_SIZE;
+  
+  const rows = history.slice(start, start + HISTORY_PAGE_SIZE).map((entry, i) => {
+    const marker = start + i === highIndex ? ' ◀ HIGH' : '';
+    return `${entry.time.padEnd(8)} ${formatTemp(entry.temp, units).padStart(7)}${marker}`;
+  });
+  
+  // New-high and drop alert times
+  const alertLines = (alerts || [])
+    .filter(a => a.type === 'new_high' || a.type === 'drop')
+    .map(a => `${a.type === 'new_high' ? '📈' : '📉'} ${a.time} — ${formatTemp(a.temp, units)}`);
+  
+  let alertsSection = `_No new-high or drop alerts_\n\n`;
+  if (alerts === null) {
+    alertsSection = `_Alert log not available (from archive)_\n\n`;
+  } else if (alertLines.length > 0) {
+    alertsSection = `*Alerts:*\n${alertLines.join('\n')}\n\n`;
+  }
+  
+  const text = 
+    `📜 *History — ${location.emoji} ${location.name}*\n` +
+    `📅 ${date} • ${history.length} readings\n` +
+    `🔺 High: *${formatTemp(maxTemp, units)}* at ${history[highIndex].time}\n\n` +
+    '```\n' + rows.join('\n') + '\n```\n' +
+    alertsSection +
+    `_Page ${currentPage + 1}/${totalPages}_`;
+  
+  if (totalPages === 1) {
+    return { text, keyboard: null };
+  }
+  
+  const buttons = [];
+  if (currentPage > 0) {
+    buttons.push({ text: '◀ Prev', callback_data: `hist:${location.id}:${date}:${currentPage - 1}` });
+  }
+  if (currentPage < totalPages - 1) {
+    buttons.push({ text: 'Next ▶', callback_data: `hist:${location.id}:${date}:${currentPage + 1}` });
+  }
+  
+  return { text, keyboard: { inline_keyboard: [buttons] } };
+}
+
+/**
+ * Parse an optional trailing date argument ("YYYY-MM-DD" or "yesterday")
+ * Returns: { cityName, dateArg } where dateArg may be null
+ */
+function parseCityAndDate(argText) {
+  const args = argText.trim().split(/\s+/);
+  let dateArg = null;
+  if (args.length > 1 && /^(\d{4}-\d{2}-\d{2}|yesterday)$/i.test(args[args.length - 1])) {
+    dateArg = args.pop().toLowerCase();
+  }
+  
+  return { cityName: args.join(' '), dateArg };
+}
+
+/**
+ * Resolve a date argument to YYYY-MM-DD in a location's timezone (default: today)
+ */
+function resolveLocalDate(location, dateArg) {
+  const today = nowMoment(location.timezone);
+  if (!dateArg) return today.format('YYYY-MM-DD');
+  if (dateArg === 'yesterday') return today.clone().subtract(1, 'day').format('YYYY-MM-DD');
+  return dateArg;
+}
+
+/**
+ * Convert a day's history to chart points (minutes since midnight, display units)
+ */
+function toChartPoints(history, units) {
+  return history
+    .map(entry => {
+      const parsed = parseTimeString(entry.time || '');
+      const temp = convertTemp(entry.temp, units);
+      return parsed && temp !== null ? { minutes: parsed.hours * 60 + parsed.minutes, temp } : null;
+    })
+    .filter(point => point !== null);
+}
+
+/**
+ * Check if a chat is allowed to run admin commands
+ */
+function isAdmin(chatId) {
+  return ADMIN_CHAT_IDS.includes(chatId);
+}
 
 /**
  * Generate inline keyboard for market toggles
@@ -43,6 +189,20 @@ function getMarketsKeyboard(chatId) {
   return { inline_keyboard: keyboard };
 }
 
+/**
+ * Generate inline keyboard for unit selection
+ */
+function getUnitsKeyboard(chatId) {
+  const units = getUnitsForUser(getUser(chatId));
+  
+  return {
+    inline_keyboard: [[
+      { text: `${units === 'C' ? '✅ ' : ''}°C Celsius`, callback_data: 'units_C' },
+      { text: `${units === 'F' ? '✅ ' : ''}°F Fahrenheit`, callback_data: 'units_F' }
+    ]]
+  };
+}
+
 /**
  * Initialize the Telegram bot
  */
@@ -67,12 +227,19 @@ export function initBot() {
         `\n\n` +
         `You'll receive alerts when:\n` +
         `📈 A new high temperature is recorded\n` +
-        `📉 Temperature drops from the day's high\n\n` +
+        `📉 Temperature drops from the day's high\n` +
+        `🎯 The day's high enters a new bracket (where configured)\n` +
+        `⚡ Temperature rises or falls unusually fast (where configured)\n\n` +
         `*Commands:*\n` +
         `/markets - Enable/disable market alerts\n` +
+        `/units - Switch between °C and °F\n` +
         `/status - View current temperatures\n` +
-        `/timezone - Peak hours in Lisbon time\n` +
+        `/timezone - Peak hours in your time\n` +
+        `/mytz [zone] - Set your timezone (e.g. America/New_York)\n` +
         `/track [city] - Track a market (updates every 10s)\n` +
+        `/forecast [city] - Chance the high climbs further\n` +
+        `/history [city] [date] - A day's readings and alerts\n` +
+        `/chart [city] [date] - Chart of a day's readings\n` +
         `/untrackall - Stop all tracking\n` +
         `/stop - Unsubscribe from alerts`,
         { parse_mode: 'Markdown' }
@@ -106,6 +273,181 @@ export function initBot() {
         parse_mode: 'Markdown',
         reply_markup: getMarketsKeyboard(chatId)
       }
+    ).then(sent => {
+      marketsKeyboardMessages.set(chatId, sent.message_id);
+    });
+  });
+  
+  // Handle /addmarket command (admin) - /addmarket <id> <apiPath> <timezone> <emoji> <name>
+  bot.onText(/\/addmarket(?:\s+(.+))?/, async (msg, match) => {
+    const chatId = msg.chat.id;
+    if (!isAdmin(chatId)) {
+      await bot.sendMessage(chatId, `⛔ Admin only.`);
+      return;
+    }
+    
+    const parts = (match[1] || '').trim().split(/\s+/);
+    if (parts.length < 5) {
+      await bot.sendMessage(chatId, 
+        `Usage: /addmarket <id> <apiPath> <timezone> <emoji> <name>\n\n` +
+        `Example: /addmarket miami us/miami/KMIA America/New_York 🌴 Miami`
+      );
+      return;
+    }
+    
+    const [id, apiPath, timezone, emoji, ...nameParts] = parts;
+    const market = { id: id.toLowerCase(), name: nameParts.join(' '), emoji, apiPath, timezone };
+    
+    const error = getMarket(market.id) ? `Market "${market.id}" already exists` : validateMarket(market);
+    if (error) {
+      await bot.sendMessage(chatId, `❌ ${error}`);
+      return;
+    }
+    
+    await bot.sendMessage(chatId, `⏳ Testing ${market.apiPath}...`);
+    const test = await testLocationFetch(market);
+    if (!test.success) {
+      await bot.sendMessage(chatId, `❌ Test fetch failed: ${test.error}\n\nMarket not added.`);
+      return;
+    }
+    
+    addMarket(market);
+    await refreshAttentionZone(market);
+    await refreshMarketsKeyboards();
+    
+    await bot.sendMessage(chatId, 
+      `✅ Added ${market.emoji} *${market.name}*\n` +
+      `🌡️ Current: ${formatTemp(test.temp, getUnitsForUser(getUser(chatId)))}\n` +
+      `🎯 Attention zone: ${getAttentionZoneInfo(market.id)} local`,
+      { parse_mode: 'Markdown' }
+    );
+    console.log(`🌍 Admin ${chatId} added market ${market.id}`);
+  });
+  
+  // Handle /editmarket command (admin) - /editmarket <id> <field> <value>
+  bot.onText(/\/editmarket(?:\s+(.+))?/, async (msg, match) => {
+    const chatId = msg.chat.id;
+    if (!isAdmin(chatId)) {
+      await bot.sendMessage(chatId, `⛔ Admin only.`);
+      return;
+    }
+    
+    const parts = (match[1] || '').trim().split(/\s+/);
+    if (parts.length < 3 || !EDITABLE_FIELDS.includes(parts[1])) {
+      await bot.sendMessage(chatId, 
+        `Usage: /editmarket <id> <field> <value>\n\n` +
+        `Fields: ${EDITABLE_FIELDS.join(', ')}`
+      );
+      return;
+    }
+    
+    const [id, field, ...valueParts] = parts;
+    const market = getMarket(id.toLowerCase());
+    if (!market) {
+      await bot.sendMessage(chatId, `❌ Market "${id}" not found.`);
+      return;
+    }
+    
+    const changes = { [field]: parseMarketField(field, valueParts.join(' ')) };
+    const updated = { ...market, ...changes };
+    const error = validateMarket(updated);
+    if (error) {
+      await bot.sendMessage(chatId, `❌ ${error}`);
+      return;
+    }
+    
+    // Changing where/when we fetch needs a fresh test and attention zone
+    const needsRefresh = ['apiPath', 'timezone', 'provider', 'station'].includes(field);
+    if (needsRefresh) {
+      const test = await testLocationFetch(updated);
+      if (!test.success) {
+        await bot.sendMessage(chatId, `❌ Test fetch failed: ${test.error}\n\nMarket not changed.`);
+        return;
+      }
+    }
+    
+    updateMarket(market.id, changes);
+    if (needsRefresh) {
+      // Re-read so the zone is computed from the edited market
+      await refreshAttentionZone(getMarket(market.id));
+    }
+    await refreshMarketsKeyboards();
+    
+    await bot.sendMessage(chatId, `✅ Updated ${market.emoji} ${market.name}: ${field} = ${valueParts.join(' ')}`);
+    console.log(`🌍 Admin ${chatId} edited market ${market.id} (${field})`);
+  });
+  
+  // Handle /removemarket command (admin) - /removemarket <id>
+  bot.onText(/\/removemarket(?:\s+(.+))?/, async (msg, match) => {
+    const chatId = msg.chat.id;
+    if (!isAdmin(chatId)) {
+      await bot.sendMessage(chatId, `⛔ Admin only.`);
+      return;
+    }
+    
+    if (!match[1]) {
+      await bot.sendMessage(chatId, `Usage: /removemarket <id>`);
+      return;
+    }
+    
+    const removed = removeMarket(match[1].trim().toLowerCase());
+    if (!removed) {
+      await bot.sendMessage(chatId, `❌ Market "${match[1].trim()}" not found.`);
+      return;
+    }
+    
+    // Stop any live tracking of the removed market
+    for (const [trackingChatId, userTrackings] of activeTrackings) {
+      if (userTrackings.has(removed.id)) {
+        stopTracking(trackingChatId, removed.id);
+      }
+    }
+    
+    forgetLocation(removed.id);
+    await refreshMarketsKeyboards();
+    
+    await bot.sendMessage(chatId, `✅ Removed ${removed.emoji} ${removed.name}.`);
+    console.log(`🌍 Admin ${chatId} removed market ${removed.id}`);
+  });
+  
+  // Handle /units command - show or set temperature unit preference
+  bot.onText(/\/units(?:\s+(.+))?/, (msg, match) => {
+    const chatId = msg.chat.id;
+    const user = getUser(chatId);
+    
+    if (!user) {
+      bot.sendMessage(chatId, 
+        `❌ You're not subscribed yet. Use /start first!`
+      );
+      return;
+    }
+    
+    // Direct form: /units F
+    if (match[1]) {
+      const units = parseUnits(match[1]);
+      
+      if (!units) {
+        bot.sendMessage(chatId, 
+          `❌ Unknown unit "${match[1].trim()}".\n\n` +
+          `Usage: /units C or /units F`
+        );
+        return;
+      }
+      
+      updateUserUnits(chatId, units);
+      bot.sendMessage(chatId, `🌡️ Temperatures will now be shown in *°${units}*.`, { parse_mode: 'Markdown' });
+      console.log(`🌡️ User ${chatId} switched units to °${units}`);
+      return;
+    }
+    
+    bot.sendMessage(chatId, 
+      `🌡️ *Temperature Units*\n\n` +
+      `Currently showing: *°${getUnitsForUser(user)}*\n` +
+      `Tap to switch:`,
+      { 
+        parse_mode: 'Markdown',
+        reply_markup: getUnitsKeyboard(chatId)
+      }
     );
   });
   
@@ -139,6 +481,54 @@ export function initBot() {
         console.log(`🔔 User ${chatId} toggled ${location.name}: ${stateText}`);
       }
     }
+    
+    // Handle /history pagination
+    if (data.startsWith('hist:')) {
+      const [, locationId, date, page] = data.split(':');
+      const location = locations.find(l => l.id === locationId);
+      
+      if (location) {
+        const units = getUnitsForUser(getUser(chatId));
+        const { text, keyboard } = buildHistoryPage(location, date, Number(page), units);
+        
+        await bot.editMessageText(text, {
+          chat_id: chatId,
+          message_id: messageId,
+          parse_mode: 'Markdown',
+          ...(keyboard ? { reply_markup: keyboard } : {})
+        }).catch(() => {}); // Ignore "message is not modified"
+      }
+      
+      await bot.answerCallbackQuery(query.id);
+    }
+    
+    // Handle unit selection
+    if (data.startsWith('units_')) {
+      const units = parseUnits(data.replace('units_', ''));
+      
+      if (units) {
+        updateUserUnits(chatId, units);
+        
+        await bot.editMessageText(
+          `🌡️ *Temperature Units*\n\n` +
+          `Currently showing: *°${units}*\n` +
+          `Tap to switch:`,
+          {
+            chat_id: chatId,
+            message_id: messageId,
+            parse_mode: 'Markdown',
+            reply_markup: getUnitsKeyboard(chatId)
+          }
+        ).catch(() => {}); // Ignore "message is not modified"
+        
+        await bot.answerCallbackQuery(query.id, {
+          text: `Temperatures now shown in °${units}`,
+          show_alert: false
+        });
+        
+        console.log(`🌡️ User ${chatId} switched units to °${units}`);
+      }
+    }
   });
   
   // Handle /stop command
@@ -170,26 +560,27 @@ export function initBot() {
     }
   });
   
-  // Handle /timezone command - show dynamic attention zones in Lisbon time
+  // Handle /timezone command - show dynamic attention zones in the user's timezone
   bot.onText(/\/timezone/, (msg) => {
     const chatId = msg.chat.id;
+    const userTimezone = getTimezoneForUser(getUser(chatId));
     
-    const zones = getAllAttentionZonesWithLisbon();
+    const zones = getAllAttentionZonesForTimezone(userTimezone);
     
     let zonesList = '';
     for (const loc of locations) {
       const zone = zones[loc.id];
-      const lisbonTime = zone?.lisbonDisplay || 'Calculating...';
+      const userTime = zone?.userDisplay || 'Calculating...';
       const localTime = zone?.display || 'Calculating...';
       const avgSustained = zone?.avgSustainedCount || 'N/A';
       zonesList += `${loc.emoji} *${loc.name}*\n` +
-                   `   🇵🇹 Lisbon: *${lisbonTime}*\n` +
-                   `   📍 Local: ${localTime}\n` +
+                   `   🏠 You: *${userTime}*\n` +
+                   `   📍 Local: ${localTime} (${getLocalTime(loc.timezone)} now)\n` +
                    `   📊 Avg sustained: *${avgSustained} readings*\n\n`;
     }
     
     const message = 
-      `🎯 *Attention Zones (Lisbon Time)*\n\n` +
+      `🎯 *Attention Zones (Your Time)*\n\n` +
       `_Based on last 7 days of historical data_\n` +
       `_When each market typically hits daily high_\n\n` +
       `━━━━━━━━━━━━━━━━━━━━━━\n\n` +
@@ -197,21 +588,58 @@ export function initBot() {
       `━━━━━━━━━━━━━━━━━━━━━━\n` +
       `_🚨 Alerts during these windows have special formatting_\n` +
       `_📊 Avg sustained = avg consecutive readings at ATH before drop_\n` +
-      `_⏰ Primary times shown in Lisbon (UTC+0)_`;
+      `_⏰ Primary times shown in ${userTimezone} (${formatTimeInZone(userTimezone)} now)_\n` +
+      `_Change with /mytz <zone>_`;
     
     bot.sendMessage(chatId, message, { parse_mode: 'Markdown' });
   });
   
+  // Handle /mytz command - show or set the user's display timezone
+  bot.onText(/\/mytz(?:\s+(.+))?/, (msg, match) => {
+    const chatId = msg.chat.id;
+    const user = getUser(chatId);
+    
+    if (!user) {
+      bot.sendMessage(chatId, 
+        `❌ You're not subscribed yet. Use /start first!`
+      );
+      return;
+    }
+    
+    if (!match[1]) {
+      const current = getTimezoneForUser(user);
+      bot.sendMessage(chatId, 
+        `🏠 Your timezone: ${current} (${formatTimeInZone(current)})\n\n` +
+        `Usage: /mytz America/New_York`
+      );
+      return;
+    }
+    
+    const timezone = parseTimezone(match[1]);
+    
+    if (!timezone) {
+      bot.sendMessage(chatId, 
+        `❌ Unknown timezone "${match[1].trim()}".\n\n` +
+        `Use an IANA zone name, e.g. Europe/Lisbon, America/Chicago, Asia/Seoul`
+      );
+      return;
+    }
+    
+    updateUserTimezone(chatId, timezone);
+    bot.sendMessage(chatId, 
+      `🏠 Timezone set to ${timezone}.\n` +
+      `Your time now: ${formatTimeInZone(timezone)}`
+    );
+    console.log(`🏠 User ${chatId} set timezone to ${timezone}`);
+  });
+  
   // Handle /track command - start tracking a market
   bot.onText(/\/track\s+(.+)/i, async (msg, match) => {
     const chatId = msg.chat.id;
     const cityName = match[1].trim();
     
     // Find location by name (case-insensitive, partial match)
-    const location = locations.find(loc => 
-      loc.name.toLowerCase().includes(cityName.toLowerCase()) ||
-      cityName.toLowerCase().includes(loc.name.toLowerCase())
-    );
+    const location = findLocationByName(cityName);
     
     if (!location) {
       const availableCities = locations.map(l => l.name).join(', ');
@@ -252,6 +680,7 @@ export function initBot() {
       lastTemp: null,
       lastUpdateTime: null
     });
+    persistTrackings();
     
     // Start tracking loop
     startTracking(chatId, location.id, location);
@@ -259,268 +688,667 @@ export function initBot() {
     console.log(`🔍 User ${chatId} started tracking ${location.name}`);
   });
   
-  // Handle /untrack command - stop tracking a market
-  bot.onText(/\/untrack\s+(.+)/i, async (msg, match) => {
+  // Handle /forecast command - final-high probability estimate for a market
+  bot.onText(/\/forecast(?:\s+(.+))?/, async (msg, match) => {
     const chatId = msg.chat.id;
-    const cityName = match[1].trim();
     
-    const location = locations.find(loc => 
-      loc.name.toLowerCase().includes(cityName.toLowerCase()) ||
-      cityName.toLowerCase().includes(loc.name.toLowerCase())
-    );
+    if (!match[1]) {
+      await bot.sendMessage(chatId, `Usage: /forecast London`);
+      return;
+    }
+    
+    const cityName = match[1].trim();
+    const location = findLocationByName(cityName);
     
     if (!location) {
-      await bot.sendMessage(chatId, `❌ City "${cityName}" not found.`);
+      const availableCities = locations.map(l => l.name).join(', ');
+      await bot.sendMessage(chatId, 
+        `❌ City "${cityName}" not found.\n\n` +
+        `Available cities: ${availableCities}`
+      );
       return;
     }
     
-    stopTracking(chatId, location.id);
+    const units = getUnitsForUser(getUser(chatId));
+    const estimate = await getHighForecast(location);
+    
+    if (!estimate) {
+      await bot.sendMessage(chatId, 
+        `⏳ Not enough data for a ${location.emoji} ${location.name} forecast yet.\n` +
+        `_Needs a current reading and at least 3 days of history._`,
+        { parse_mode: 'Markdown' }
+      );
+      return;
+    }
+    
+    const lines = formatForecastLines(estimate, units, 3).map(line => `   ${line}`).join('\n');
+    
     await bot.sendMessage(chatId, 
-      `✅ Stopped tracking ${location.emoji} ${location.name}.`
+      `🔮 *Final High Forecast*\n\n` +
+      `${location.emoji} *${location.name}*\n` +
+      `🌡️ High so far: *${formatTemp(estimate.currentHigh, units)}*\n` +
+      `📈 Expected final high: *${formatExpectedHigh(estimate, units)}*\n\n` +
+      `${lines}\n\n` +
+      `🕐 ${getLocalTime(location.timezone)} local\n` +
+      `_Based on how the last ${estimate.sampleDays} days climbed after this time of day_`,
+      { parse_mode: 'Markdown' }
     );
   });
   
-  // Handle /untrackall command - stop all tracking
-  bot.onText(/\/untrackall/, async (msg) => {
+  // Handle /history command - a day's readings for a market
+  bot.onText(/\/history(?:\s+(.+))?/, async (msg, match) => {
     const chatId = msg.chat.id;
     
-    if (activeTrackings.has(chatId)) {
-      const userTrackings = activeTrackings.get(chatId);
-      for (const locationId of userTrackings.keys()) {
-        stopTracking(chatId, locationId);
-      }
-      activeTrackings.delete(chatId);
+    if (!match[1]) {
+      await bot.sendMessage(chatId, `Usage: /history London [YYYY-MM-DD|yesterday]`);
+      return;
     }
     
-    await bot.sendMessage(chatId, `✅ Stopped tracking all markets.`);
-  });
-  
-  // Set up the bot command menu (blue button)
-  bot.setMyCommands([
-    { command: 'start', description: '🚀 Subscribe to weather alerts' },
-    { command: 'markets', description: '🌍 Enable/disable market notifications' },
-    { command: 'status', description: '🌡️ View current temperatures' },
-    { command: 'timezone', description: '🕐 Peak hours in Lisbon time' },
-    { command: 'track', description: '🔍 Track a market (updates every 10s)' },
-    { command: 'untrackall', description: '🛑 Stop all tracking' },
-    { command: 'stop', description: '🛑 Unsubscribe from alerts' }
-  ]).then(() => {
-    console.log('📋 Bot command menu set up');
-  }).catch(err => {
-    console.error('Failed to set bot commands:', err.message);
+    // Optional trailing date
+    const { cityName, dateArg } = parseCityAndDate(match[1]);
+    const location = findLocationByName(cityName);
+    
+    if (!location) {
+      const availableCities = locations.map(l => l.name).join(', ');
+      await bot.sendMessage(chatId, 
+        `❌ City "${cityName}" not found.\n\n` +
+        `Available cities: ${availableCities}`
+      );
+      return;
+    }
+    
+    const date = resolveLocalDate(location, dateArg);
+    const units = getUnitsForUser(getUser(chatId));
+    const { text, keyboard } = buildHistoryPage(location, date, 0, units);
+    
+    await bot.sendMessage(chatId, text, {
+      parse_mode: 'Markdown',
+      ...(keyboard ? { reply_markup: keyboard } : {})
+    });
   });
   
-  console.log('🤖 Telegram bot initialized and listening...');
-  return bot;
-}
-
-/**
- * Start tracking a location for a user
- */
-function startTracking(chatId, locationId, location) {
-  const intervalKey = `${chatId}_${locationId}`;
-  
-  // Clear any existing interval
-  if (trackingIntervals.has(intervalKey)) {
-    clearInterval(trackingIntervals.get(intervalKey));
-  }
-  
-  // Create tracking interval (every 10 seconds)
-  const interval = setInterval(async () => {
-    try {
-      // Check if tracking is still active (only stop if explicitly untracked)
-      if (!activeTrackings.has(chatId)) {
-        clearInterval(interval);
-        trackingIntervals.delete(intervalKey);
-        return;
-      }
-      
-      const userTrackings = activeTrackings.get(chatId);
-      if (!userTrackings || !userTrackings.has(locationId)) {
-        clearInterval(interval);
-        trackingIntervals.delete(intervalKey);
-        return;
-      }
-      
-      const tracking = userTrackings.get(locationId);
-      
-      // Retry logic for API calls
-      let result = null;
-      let retries = 3;
-      let lastError = null;
-      
-      while (retries > 0) {
-        try {
-          result = await fetchLatestWeatherData(location);
-          if (result.success) {
-            break;
-          }
-          lastError = result.error;
-        } catch (err) {
-          lastError = err.message;
-        }
-        
-        retries--;
-        if (retries > 0) {
-          // Exponential backoff: wait 2s, 4s, 8s
-          const waitTime = Math.pow(2, 3 - retries) * 1000;
-          await new Promise(resolve => setTimeout(resolve, waitTime));
-        }
-      }
-      
-      // If all retries failed, show error but continue tracking
-      if (!result || !result.success) {
-        const errorTime = new Date().toLocaleTimeString();
-        try {
-          await bot.editMessageText(
-            `🔍 *Tracking ${location.emoji} ${location.name}*\n\n` +
-            `⚠️ Error fetching data (retrying...)\n` +
-            `_Last check: ${errorTime}_`,
-            {
-              chat_id: chatId,
-              message_id: tracking.messageId,
-              parse_mode: 'Markdown'
-            }
-          );
-        } catch (err) {
-          // Only stop if message is actually deleted (error 400 Bad Request: message to edit not found)
-          if (err.response?.statusCode === 400 || err.response?.body?.error_code === 400) {
-            console.log(`   🛑 Message deleted, stopping tracking for ${location.name}`);
-            stopTracking(chatId, locationId);
-            return;
-          }
-          // Otherwise, continue tracking (might be rate limit or other transient error)
-        }
-        return; // Continue to next interval
-      }
+  // Handle /chart command - PNG chart of a day's readings
+  bot.onText(/\/chart(?:\s+(.+))?/, async (msg, match) => {
+    const chatId = msg.chat.id;
+    
+    if (!match[1]) {
+      await bot.sendMessage(chatId, `Usage: /chart London [YYYY-MM-DD|yesterday]`);
+      return;
+    }
+    
+    const { cityName, dateArg } = parseCityAndDate(match[1]);
+    const location = findLocationByName(cityName);
+    
+    if (!location) {
+      const availableCities = locations.map(l => l.name).join(', ');
+      await bot.sendMessage(chatId, 
+        `❌ City "${cityName}" not found.\n\n` +
+        `Available cities: ${availableCities}`
+      );
+      return;
+    }
+    
+    const date = resolveLocalDate(location, dateArg);
+    const previousDate = moment.tz(date, location.timezone).subtract(1, 'day').format('YYYY-MM-DD');
+    const units = getUnitsForUser(getUser(chatId));
+    
+    const dayHistory = getDayHistory(location, date).history;
+    const today = toChartPoints(dayHistory, units);
+    const yesterday = toChartPoints(getDayHistory(location, previousDate).history, units);
+    
+    if (today.length === 0) {
+      await bot.sendMessage(chatId, `📜 No readings for ${location.emoji} ${location.name} on ${date}.`);
+      return;
+    }
+    
+    const highC = Math.max(...dayHistory.map(h => Number(h.temp)));
+    const zone = getAllAttentionZones()[location.id];
+    
+    try {
+      const image = renderDayChart({
+        today,
+        yesterday,
+        high: convertTemp(highC, units),
+        zone: zone ? {
+          startMinutes: zone.startHour * 60 + zone.startMin,
+          endMinutes: zone.endHour * 60 + zone.endMin
+        } : null,
+        units
+      });
       
-      const currentTemp = extractCurrentTemp(result.data);
-      const localTime = getLocalTime(location.timezone);
-      const checkTime = new Date().toLocaleTimeString();
+      await bot.sendPhoto(chatId, image, {
+        caption: 
+          `📈 *${location.emoji} ${location.name}* — ${date}\n` +
+          `🔺 High: *${formatTemp(highC, units)}*\n` +
+          `_Blue: ${date} • Gray: ${previousDate} • Red: running high • Shaded: attention zone (local time)_`,
+        parse_mode: 'Markdown'
+      }, {
+        filename: `${location.id}_${date}.png`,
+        contentType: 'image/png'
+      });
+    } catch (err) {
+      console.error(`Error sending chart for ${location.name} to ${chatId}:`, err.message);
+      await sendMessage(chatId, `❌ Couldn't send the chart for ${location.emoji} ${location.name} on ${date}. Please try again.`);
+    }
+  });
+  
+  // Handle /alert command - add a personal threshold alert
+  bot.onText(/\/alert(?:\s+(.+))?$/, async (msg, match) => {
+    const chatId = msg.chat.id;
+    const user = getUser(chatId);
+    
+    if (!user) {
+      await bot.sendMessage(chatId, `❌ You're not subscribed yet. Use /start first!`);
+      return;
+    }
+    
+    const args = match[1] ? parseThresholdArgs(match[1]) : null;
+    
+    if (!args) {
+      await bot.sendMessage(chatId, 
+        `Usage: /alert <city> above|below <temp> [once|recurring]\n\n` +
+        `Examples:\n` +
+        `/alert Dallas above 95\n` +
+        `/alert London below 12C recurring`
+      );
+      return;
+    }
+    
+    const location = findLocationByName(args.cityName);
+    
+    if (!location) {
+      const availableCities = locations.map(l => l.name).join(', ');
+      await bot.sendMessage(chatId, 
+        `❌ City "${args.cityName}" not found.\n\n` +
+        `Available cities: ${availableCities}`
+      );
+      return;
+    }
+    
+    const units = getUnitsForUser(user);
+    const rule = addUserThreshold(chatId, buildThresholdRule(location, args, units));
+    
+    await bot.sendMessage(chatId, 
+      `🔔 Alert #${rule.id} set: ${location.emoji} ${location.name} ${formatThresholdRule(rule, units)}\n\n` +
+      `Use /alerts to list, /delalert ${rule.id} to remove.`
+    );
+    console.log(`🔔 User ${chatId} added threshold #${rule.id} for ${location.name}`);
+  });
+  
+  // Handle /alerts command - list personal threshold alerts
+  bot.onText(/\/alerts$/, async (msg) => {
+    const chatId = msg.chat.id;
+    const thresholds = getUserThresholds(chatId);
+    
+    if (thresholds.length === 0) {
+      await bot.sendMessage(chatId, `🔕 No threshold alerts.\n\nAdd one with /alert Dallas above 95`);
+      return;
+    }
+    
+    const units = getUnitsForUser(getUser(chatId));
+    const lines = thresholds.map(rule => {
+      const location = locations.find(l => l.id === rule.locationId);
+      const name = location ? `${location.emoji} ${location.name}` : rule.locationId;
+      const status = rule.armed ? '' : ' ⏸️';
+      return `#${rule.id} ${name} ${formatThresholdRule(rule, units)}${status}`;
+    });
+    
+    await bot.sendMessage(chatId, 
+      `🔔 *Your threshold alerts*\n\n` +
+      `${lines.join('\n')}\n\n` +
+      `_⏸️ = fired, waiting to re-arm • /delalert <id> to remove_`,
+      { parse_mode: 'Markdown' }
+    );
+  });
+  
+  // Handle /delalert command - remove a personal threshold alert
+  bot.onText(/\/delalert(?:\s+(.+))?/, async (msg, match) => {
+    const chatId = msg.chat.id;
+    const id = match[1] ? parseInt(match[1].trim().replace('#', ''), 10) : NaN;
+    
+    if (isNaN(id)) {
+      await bot.sendMessage(chatId, `Usage: /delalert <id> (see /alerts)`);
+      return;
+    }
+    
+    if (!removeUserThreshold(chatId, id)) {
+      await bot.sendMessage(chatId, `❌ No alert #${id}. See /alerts.`);
+      return;
+    }
+    
+    await bot.sendMessage(chatId, `✅ Alert #${id} removed.`);
+  });
+  
+  // Handle /quiet command - quiet hours in the user's timezone
+  bot.onText(/\/quiet(?:\s+(.+))?/, async (msg, match) => {
+    const chatId = msg.chat.id;
+    const user = getUser(chatId);
+    
+    if (!user) {
+      await bot.sendMessage(chatId, `❌ You're not subscribed yet. Use /start first!`);
+      return;
+    }
+    
+    const arg = match[1]?.trim().toLowerCase();
+    
+    if (!arg) {
+      const quiet = user.quietHours;
+      await bot.sendMessage(chatId, 
+        `🌙 *Quiet Hours*\n\n` +
+        `Hours: ${quiet ? `${quiet.start}–${quiet.end} (${getTimezoneForUser(user)})` : 'off'}\n` +
+        `Held-back alerts: ${getSuppressMode(user) === 'queue' ? 'queued for a catch-up summary' : 'dropped'}\n` +
+        `Attention-zone alerts: ${user.zoneBreakthrough ? 'break through' : 'held back too'}\n\n` +
+        `Usage:\n` +
+        `/quiet 22:00-07:00 - set hours (your timezone, see /mytz)\n` +
+        `/quiet off - disable\n` +
+        `/quiet queue | /quiet drop - catch-up summary or discard\n` +
+        `/quiet zone on|off - let attention-zone alerts through`,
+        { parse_mode: 'Markdown' }
+      );
+      return;
+    }
+    
+    if (arg === 'off') {
+      updateUserQuietSettings(chatId, { quietHours: null });
+      await bot.sendMessage(chatId, `🔔 Quiet hours off.`);
+      return;
+    }
+    
+    if (SUPPRESS_MODES.includes(arg)) {
+      updateUserQuietSettings(chatId, { suppressMode: arg });
+      await bot.sendMessage(chatId, arg === 'queue'
+        ? `📥 Held-back alerts will be sent as a catch-up summary afterwards.`
+        : `🗑️ Held-back alerts will be dropped.`
+      );
+      return;
+    }
+    
+    const zoneMatch = arg.match(/^zone\s+(on|off)$/);
+    if (zoneMatch) {
+      updateUserQuietSettings(chatId, { zoneBreakthrough: zoneMatch[1] === 'on' });
+      await bot.sendMessage(chatId, zoneMatch[1] === 'on'
+        ? `⏰ Attention-zone alerts will break through quiet hours and snoozes.`
+        : `🌙 Attention-zone alerts will be held back too.`
+      );
+      return;
+    }
+    
+    const quietHours = parseQuietRange(arg);
+    if (!quietHours) {
+      await bot.sendMessage(chatId, `❌ Couldn't read "${match[1].trim()}". Example: /quiet 22:00-07:00`);
+      return;
+    }
+    
+    updateUserQuietSettings(chatId, { quietHours });
+    await bot.sendMessage(chatId, 
+      `🌙 Quiet hours set: ${quietHours.start}–${quietHours.end} (${getTimezoneForUser(user)}).`
+    );
+    console.log(`🌙 User ${chatId} set quiet hours ${quietHours.start}-${quietHours.end}`);
+  });
+  
+  // Handle /snooze command - pause alerts for a market (or all) for a while
+  bot.onText(/\/snooze(?:\s+(.+))?/, async (msg, match) => {
+    const chatId = msg.chat.id;
+    const user = getUser(chatId);
+    
+    if (!user) {
+      await bot.sendMessage(chatId, `❌ You're not subscribed yet. Use /start first!`);
+      return;
+    }
+    
+    const userTimezone = getTimezoneForUser(user);
+    const parts = match[1]?.trim().split(/\s+/) || [];
+    
+    if (parts.length < 2) {
+      const active = Object.entries(user.snoozes || {})
+        .filter(([, until]) => new Date(until) > nowDate())
+        .map(([target, until]) => {
+          const location = locations.find(l => l.id === target);
+          const name = target === 'all' ? 'All markets' : (location ? `${location.emoji} ${location.name}` : target);
+          return `${name} until ${formatTimeInZone(userTimezone, until)}`;
+        });
       
-      // Extract timestamp from /latest endpoint response
-      const apiData = result.data?.data || result.data;
-      const apiCurrent = apiData?.current?.temperature?.celsius;
-      const timestamp = apiData?.timestamp;
+      await bot.sendMessage(chatId, 
+        `😴 *Snoozed*\n\n` +
+        `${active.length > 0 ? active.join('\n') : 'Nothing snoozed'}\n\n` +
+        `Usage: /snooze <city|all> <duration> (e.g. 30m, 2h, 1d)\n` +
+        `/snooze <city|all> off - end a snooze`,
+        { parse_mode: 'Markdown' }
+      );
+      return;
+    }
+    
+    const durationArg = parts.pop();
+    const targetArg = parts.join(' ');
+    const location = targetArg.toLowerCase() === 'all' ? null : findLocationByName(targetArg);
+    
+    if (targetArg.toLowerCase() !== 'all' && !location) {
+      await bot.sendMessage(chatId, `❌ City "${targetArg}" not found.`);
+      return;
+    }
+    
+    const target = location ? location.id : 'all';
+    const name = location ? `${location.emoji} ${location.name}` : 'all markets';
+    
+    if (durationArg.toLowerCase() === 'off') {
+      updateUserSnooze(chatId, target, null);
+      await bot.sendMessage(chatId, `🔔 Snooze ended for ${name}.`);
+      return;
+    }
+    
+    const duration = parseDuration(durationArg);
+    if (!duration) {
+      await bot.sendMessage(chatId, `❌ Unknown duration "${durationArg}". Use e.g. 30m, 2h, 1h30m or 1d.`);
+      return;
+    }
+    
+    const until = new Date(nowDate().getTime() + duration).toISOString();
+    updateUserSnooze(chatId, target, until);
+    
+    await bot.sendMessage(chatId, 
+      `😴 Snoozed ${name} until ${formatTimeInZone(userTimezone, until)}.` +
+      (getSuppressMode(user) === 'queue' ? `\nYou'll get a catch-up summary afterwards.` : '')
+    );
+    console.log(`😴 User ${chatId} snoozed ${target} until ${until}`);
+  });
+  
+  // Handle /sensitivity command - minimum change for new high/drop alerts
+  bot.onText(/\/sensitivity(?:\s+(.+))?/, async (msg, match) => {
+    const chatId = msg.chat.id;
+    const user = getUser(chatId);
+    
+    if (!user) {
+      await bot.sendMessage(chatId, `❌ You're not subscribed yet. Use /start first!`);
+      return;
+    }
+    
+    const units = getUnitsForUser(user);
+    const arg = match[1]?.trim().toLowerCase();
+    
+    if (!arg) {
+      const mine = hasHysteresisOverride(user)
+        ? formatHysteresis({ ...DEFAULT_HYSTERESIS, ...user.hysteresis }, units)
+        : 'market defaults';
+      const marketLines = locations
+        .filter(l => isMarketEnabled(chatId, l.id))
+        .map(l => `${l.emoji} ${l.name}: ${formatHysteresis(getHysteresis(l), units)}`);
       
-      // Convert timestamp to local time format
-      let lastRecordedTime = null;
-      if (timestamp) {
-        const localMoment = moment(timestamp).tz(location.timezone);
-        lastRecordedTime = localMoment.format('h:mm A');
+      await bot.sendMessage(chatId, 
+        `🎚️ *Alert Sensitivity*\n\n` +
+        `Yours: ${mine}\n` +
+        (marketLines.length > 0 ? `\n*Market defaults*\n${marketLines.join('\n')}\n` : '') +
+        `\nUsage:\n` +
+        `/sensitivity rise 0.5 drop 0.3 confirm 2 - new high needs +0.5°, drop needs -0.3° held for 2 readings (any subset, in °${units})\n` +
+        `/sensitivity off - use each market's defaults`,
+        { parse_mode: 'Markdown' }
+      );
+      return;
+    }
+    
+    if (arg === 'off') {
+      updateUserHysteresis(chatId, null);
+      await bot.sendMessage(chatId, `🎚️ Using each market's default sensitivity.`);
+      return;
+    }
+    
+    const { settings, error } = parseHysteresisArgs(arg, units);
+    if (error) {
+      await bot.sendMessage(chatId, `❌ ${error}\n\nExample: /sensitivity rise 0.5 drop 0.3 confirm 2`);
+      return;
+    }
+    
+    updateUserHysteresis(chatId, settings);
+    const updated = { ...DEFAULT_HYSTERESIS, ...user.hysteresis, ...settings };
+    await bot.sendMessage(chatId, `🎚️ Sensitivity set: ${formatHysteresis(updated, units)}`);
+    console.log(`🎚️ User ${chatId} set sensitivity ${JSON.stringify(settings)}`);
+  });
+  
+  // Handle /untrack command - stop tracking a market
+  bot.onText(/\/untrack\s+(.+)/i, async (msg, match) => {
+    const chatId = msg.chat.id;
+    const cityName = match[1].trim();
+    
+    const location = findLocationByName(cityName);
+    
+    if (!location) {
+      await bot.sendMessage(chatId, `❌ City "${cityName}" not found.`);
+      return;
+    }
+    
+    stopTracking(chatId, location.id);
+    await bot.sendMessage(chatId, 
+      `✅ Stopped tracking ${location.emoji} ${location.name}.`
+    );
+  });
+  
+  // Handle /untrackall command - stop all tracking
+  bot.onText(/\/untrackall/, async (msg) => {
+    const chatId = msg.chat.id;
+    
+    if (activeTrackings.has(chatId)) {
+      const userTrackings = activeTrackings.get(chatId);
+      for (const locationId of userTrackings.keys()) {
+        stopTracking(chatId, locationId);
       }
-      
-      console.log(`   🔍 ${location.name} tracking: API current=${apiCurrent}°C, extracted=${currentTemp}°C, timestamp=${timestamp}`);
-      
-      // If temperature extraction failed, show warning but continue tracking
-      if (currentTemp === null) {
-        try {
-          await bot.editMessageText(
-            `🔍 *Tracking ${location.emoji} ${location.name}*\n\n` +
-            `⚠️ Could not extract temperature (retrying...)\n` +
-            `_Last check: ${checkTime}_`,
-            {
-              chat_id: chatId,
-              message_id: tracking.messageId,
-              parse_mode: 'Markdown'
-            }
-          );
-        } catch (err) {
-          // Only stop if message is deleted
-          if (err.response?.statusCode === 400 || err.response?.body?.error_code === 400) {
-            console.log(`   🛑 Message deleted, stopping tracking for ${location.name}`);
-            stopTracking(chatId, locationId);
-            return;
-          }
+      activeTrackings.delete(chatId);
+    }
+    
+    await bot.sendMessage(chatId, `✅ Stopped tracking all markets.`);
+  });
+  
+  // Set up the bot command menu (blue button)
+  bot.setMyCommands([
+    { command: 'start', description: '🚀 Subscribe to weather alerts' },
+    { command: 'markets', description: '🌍 Enable/disable market notifications' },
+    { command: 'units', description: '🌡️ Switch between °C and °F' },
+    { command: 'status', description: '🌡️ View current temperatures' },
+    { command: 'timezone', description: '🕐 Peak hours in your time' },
+    { command: 'mytz', description: '🏠 Set your display timezone' },
+    { command: 'track', description: '🔍 Track a market (updates every 10s)' },
+    { command: 'forecast', description: '🔮 Chance the high climbs further' },
+    { command: 'history', description: '📜 A day\'s readings and alerts' },
+    { command: 'chart', description: '📈 Chart of a day\'s readings' },
+    { command: 'alert', description: '🔔 Alert me above/below a temp' },
+    { command: 'alerts', description: '📋 List my threshold alerts' },
+    { command: 'delalert', description: '🗑️ Remove a threshold alert' },
+    { command: 'quiet', description: '🌙 Quiet hours' },
+    { command: 'snooze', description: '😴 Pause alerts for a while' },
+    { command: 'sensitivity', description: '🎚️ Minimum change for high/drop alerts' },
+    { command: 'untrackall', description: '🛑 Stop all tracking' },
+    { command: 'stop', description: '🛑 Unsubscribe from alerts' }
+  ]).then(() => {
+    console.log('📋 Bot command menu set up');
+  }).catch(err => {
+    console.error('Failed to set bot commands:', err.message);
+  });
+  
+  // Pick up /track sessions from before the restart
+  resumeTrackings().catch(err => {
+    console.error('Failed to resume tracking sessions:', err.message);
+  });
+  
+  console.log('🤖 Telegram bot initialized and listening...');
+  return bot;
+}
+
+/**
+ * Telegram's error description, lower-cased ('' if none)
+ */
+function getErrorDescription(err) {
+  return (err.response?.body?.description || '').toLowerCase();
+}
+
+/**
+ * Check if a Telegram error means the message can't be edited any more
+ * (deleted, or too old) - other 400s such as parse errors are not
+ */
+function isMessageGone(err) {
+  const description = getErrorDescription(err);
+  return description.includes('message to edit not found') || description.includes("message can't be edited");
+}
+
+/**
+ * Check if an edit failed only because the text is unchanged (the message is already up to date)
+ */
+function isNotModified(err) {
+  return getErrorDescription(err).includes('message is not modified');
+}
+
+/**
+ * Start tracking a location for a user
+ * Subscribes to the shared per-location tracker, which fetches once per tick for all users
+ */
+function startTracking(chatId, locationId, location) {
+  subscribeTracking(location, chatId, (result) => updateTrackingMessage(chatId, location, result));
+}
+
+/**
+ * Update a user's tracking message with the latest tracker result
+ */
+async function updateTrackingMessage(chatId, location, result) {
+  const locationId = location.id;
+  const tracking = activeTrackings.get(chatId)?.get(locationId);
+  if (!tracking) return;
+  
+  const user = getUser(chatId);
+  const units = getUnitsForUser(user);
+  const userTimezone = getTimezoneForUser(user);
+  
+  // If all retries failed, show error but continue tracking
+  if (!result.success) {
+    const errorTime = nowDate().toLocaleTimeString();
+    try {
+      await bot.editMessageText(
+        `🔍 *Tracking ${location.emoji} ${location.name}*\n\n` +
+        `⚠️ Error fetching data (retrying...)\n` +
+        `_Last check: ${errorTime}_`,
+        {
+          chat_id: chatId,
+          message_id: tracking.messageId,
+          parse_mode: 'Markdown'
         }
-        return; // Continue to next interval
+      );
+    } catch (err) {
+      // Only stop if message is actually deleted
+      if (isMessageGone(err)) {
+        console.log(`   🛑 Message deleted, stopping tracking for ${location.name}`);
+        stopTracking(chatId, locationId);
       }
-      
-      // Check if temperature changed
-      const tempChanged = tracking.lastTemp !== null && tracking.lastTemp !== currentTemp;
-      
-      // Update the tracking message with latest check
-      const lastRecordedLine = lastRecordedTime 
-        ? `📅 Last recorded: ${lastRecordedTime}\n` 
-        : '';
-      
-      try {
-        await bot.editMessageText(
-          `🔍 *Tracking ${location.emoji} ${location.name}*\n\n` +
-          `🌡️ Temperature: *${currentTemp}°C*\n` +
-          `🕐 Local time: ${localTime}\n` +
-          `${lastRecordedLine}` +
-          `_Last check: ${checkTime}_`,
-          {
-            chat_id: chatId,
-            message_id: tracking.messageId,
-            parse_mode: 'Markdown'
-          }
-        );
-      } catch (err) {
-        // Only stop if message is actually deleted
-        if (err.response?.statusCode === 400 || err.response?.body?.error_code === 400) {
-          console.log(`   🛑 Message deleted, stopping tracking for ${location.name}`);
-          stopTracking(chatId, locationId);
-          return;
+      // Otherwise, continue tracking (might be rate limit or other transient error)
+    }
+    return;
+  }
+  
+  const currentTemp = result.observation.temp;
+  const localTime = getLocalTime(location.timezone);
+  const checkTime = nowDate().toLocaleTimeString();
+  
+  // Observation timestamp from the provider
+  const timestamp = result.observation.observedAt;
+  
+  // Convert timestamp to local time format (plus the user's own time)
+  let lastRecordedTime = null;
+  if (timestamp) {
+    const localMoment = moment(timestamp).tz(location.timezone);
+    lastRecordedTime = `${localMoment.format('h:mm A')} (${formatTimeInZone(userTimezone, timestamp)} your time)`;
+  }
+  
+  // If temperature extraction failed, show warning but continue tracking
+  if (currentTemp === null) {
+    try {
+      await bot.editMessageText(
+        `🔍 *Tracking ${location.emoji} ${location.name}*\n\n` +
+        `⚠️ Could not extract temperature (retrying...)\n` +
+        `_Last check: ${checkTime}_`,
+        {
+          chat_id: chatId,
+          message_id: tracking.messageId,
+          parse_mode: 'Markdown'
         }
-        // Otherwise, continue tracking (might be rate limit or other transient error)
-        console.log(`   ⚠️ Error updating message (continuing): ${err.message}`);
-        return; // Continue to next interval
+      );
+    } catch (err) {
+      // Only stop if message is deleted
+      if (isMessageGone(err)) {
+        console.log(`   🛑 Message deleted, stopping tracking for ${location.name}`);
+        stopTracking(chatId, locationId);
       }
-      
-      // If temperature changed, send a NEW message
-      if (tempChanged) {
-        const change = currentTemp > tracking.lastTemp ? '↑' : '↓';
-        const changeAmount = Math.abs(currentTemp - tracking.lastTemp);
-        
-        const lastRecordedLine = lastRecordedTime 
-          ? `📅 Last recorded: ${lastRecordedTime}\n` 
-          : '';
-        
-        try {
-          await bot.sendMessage(chatId,
-            `📊 *NEW DATA POINT*\n\n` +
-            `${location.emoji} *${location.name}*\n\n` +
-            `🌡️ Temperature: *${currentTemp}°C* ${change}${changeAmount}°C\n` +
-            `📊 Previous: ${tracking.lastTemp}°C\n` +
-            `${lastRecordedLine}` +
-            `🕐 ${localTime}\n` +
-            `🕐 Checked: ${checkTime}`,
-            { parse_mode: 'Markdown' }
-          );
-          
-          console.log(`📊 ${location.name} temp changed: ${tracking.lastTemp}°C → ${currentTemp}°C`);
-        } catch (err) {
-          // Don't stop tracking if sending new message fails
-          console.log(`   ⚠️ Error sending new data point message (continuing): ${err.message}`);
-        }
+    }
+    return;
+  }
+  
+  // Check if temperature changed
+  const tempChanged = tracking.lastTemp !== null && tracking.lastTemp !== currentTemp;
+  
+  // Update the tracking message with latest check
+  const lastRecordedLine = lastRecordedTime 
+    ? `📅 Last recorded: ${lastRecordedTime}\n` 
+    : '';
+  
+  try {
+    await bot.editMessageText(
+      `🔍 *Tracking ${location.emoji} ${location.name}*\n\n` +
+      `🌡️ Temperature: *${formatTemp(currentTemp, units)}*\n` +
+      `🕐 Local time: ${localTime}\n` +
+      `🏠 Your time: ${formatTimeInZone(userTimezone)}\n` +
+      `${lastRecordedLine}` +
+      `_Last check: ${checkTime}_`,
+      {
+        chat_id: chatId,
+        message_id: tracking.messageId,
+        parse_mode: 'Markdown'
       }
+    );
+  } catch (err) {
+    // Only stop if message is actually deleted
+    if (isMessageGone(err)) {
+      console.log(`   🛑 Message deleted, stopping tracking for ${location.name}`);
+      stopTracking(chatId, locationId);
+      return;
+    }
+    // Unchanged text means the message is already current - carry on as if the edit succeeded
+    if (!isNotModified(err)) {
+      // Otherwise, continue tracking (might be rate limit or other transient error)
+      console.log(`   ⚠️ Error updating message (continuing): ${err.message}`);
+      return;
+    }
+  }
+  
+  // If temperature changed, send a NEW message
+  if (tempChanged) {
+    const change = currentTemp > tracking.lastTemp ? '↑' : '↓';
+    const shown = formatTempChange(currentTemp, tracking.lastTemp, units);
+    
+    try {
+      await bot.sendMessage(chatId,
+        `📊 *NEW DATA POINT*\n\n` +
+        `${location.emoji} *${location.name}*\n\n` +
+        `🌡️ Temperature: *${shown.current}* ${change}${shown.delta}\n` +
+        `📊 Previous: ${shown.previous}\n` +
+        `${lastRecordedLine}` +
+        `🕐 ${localTime} local • ${formatTimeInZone(userTimezone)} your time\n` +
+        `🕐 Checked: ${checkTime}`,
+        { parse_mode: 'Markdown' }
+      );
       
-      // Update tracking state
-      tracking.lastTemp = currentTemp;
-      tracking.lastUpdateTime = new Date();
-      
+      console.log(`📊 ${location.name} temp changed for ${chatId}: ${tracking.lastTemp}°C → ${currentTemp}°C`);
     } catch (err) {
-      // Don't stop tracking on unexpected errors, just log and continue
-      console.error(`Error in tracking loop for ${location.name}:`, err.message);
-      // Continue to next interval
+      // Don't stop tracking if sending new message fails
+      console.log(`   ⚠️ Error sending new data point message (continuing): ${err.message}`);
     }
-  }, 10000); // 10 seconds
+  }
   
-  trackingIntervals.set(intervalKey, interval);
+  // Update tracking state (persist only when the temp changes to keep writes down)
+  const shouldPersist = tracking.lastTemp !== currentTemp;
+  tracking.lastTemp = currentTemp;
+  tracking.lastUpdateTime = nowDate();
+  if (shouldPersist) persistTrackings();
 }
 
 /**
  * Stop tracking a location for a user
  */
 function stopTracking(chatId, locationId) {
-  const intervalKey = `${chatId}_${locationId}`;
-  
-  if (trackingIntervals.has(intervalKey)) {
-    clearInterval(trackingIntervals.get(intervalKey));
-    trackingIntervals.delete(intervalKey);
-  }
+  unsubscribeTracking(locationId, chatId);
   
   if (activeTrackings.has(chatId)) {
     const userTrackings = activeTrackings.get(chatId);
@@ -531,9 +1359,111 @@ function stopTracking(chatId, locationId) {
     }
   }
   
+  persistTrackings();
   console.log(`🛑 Stopped tracking ${locationId} for user ${chatId}`);
 }
 
+/**
+ * Save all active tracking sessions so they survive restarts
+ */
+function persistTrackings() {
+  const sessions = [];
+  
+  for (const [chatId, userTrackings] of activeTrackings) {
+    for (const [locationId, tracking] of userTrackings) {
+      sessions.push({
+        chatId,
+        locationId,
+        messageId: tracking.messageId,
+        lastTemp: tracking.lastTemp
+      });
+    }
+  }
+  
+  saveTrackings(sessions);
+}
+
+/**
+ * Resume tracking sessions saved before the last shutdown
+ * Keeps editing the same messages; if a message can't be edited any more, posts a notice instead
+ */
+async function resumeTrackings() {
+  const sessions = loadTrackings();
+  if (sessions.length === 0) return;
+  
+  let resumed = 0;
+  
+  for (const session of sessions) {
+    const location = locations.find(l => l.id === session.locationId);
+    
+    if (!location) {
+      await sendMessage(session.chatId,
+        `⚠️ Live tracking of "${session.locationId}" stopped after a restart - that market no longer exists.`
+      );
+      continue;
+    }
+    
+    try {
+      await bot.editMessageText(
+        `🔍 *Tracking ${location.emoji} ${location.name}*\n\n` +
+        `🔄 Resumed after restart, fetching data...\n` +
+        `_Last check: --_`,
+        {
+          chat_id: session.chatId,
+          message_id: session.messageId,
+          parse_mode: 'Markdown'
+        }
+      );
+    } catch (err) {
+      // "Not modified" falls through - the message is there and already shows this text
+      if (isMessageGone(err)) {
+        await sendMessage(session.chatId,
+          `⚠️ Live tracking of ${location.emoji} ${location.name} was interrupted by a restart and its message can no longer be updated.\n\n` +
+          `Use /track ${location.name} to start again.`
+        );
+        continue;
+      }
+      // Transient error - resume anyway, the next tick will retry the edit
+    }
+    
+    if (!activeTrackings.has(session.chatId)) {
+      activeTrackings.set(session.chatId, new Map());
+    }
+    activeTrackings.get(session.chatId).set(location.id, {
+      messageId: session.messageId,
+      lastTemp: session.lastTemp ?? null,
+      lastUpdateTime: null
+    });
+    
+    startTracking(session.chatId, location.id, location);
+    resumed++;
+  }
+  
+  // Drop sessions that couldn't be resumed
+  persistTrackings();
+  console.log(`🔄 Resumed ${resumed}/${sessions.length} tracking session(s)`);
+}
+
+/**
+ * Refresh every user's open /markets keyboard after markets change
+ */
+async function refreshMarketsKeyboards() {
+  for (const [chatId, messageId] of marketsKeyboardMessages) {
+    try {
+      await bot.editMessageReplyMarkup(getMarketsKeyboard(chatId), {
+        chat_id: chatId,
+        message_id: messageId
+      });
+    } catch (err) {
+      // Message deleted or too old to edit - forget it
+      if (isNotModified(err)) continue;
+      if (isMessageGone(err)) {
+        marketsKeyboardMessages.delete(chatId);
+      }
+    }
+  }
+}
+
 /**
  * Set the status handler (called from weather module)
  */
@@ -543,9 +1473,30 @@ export function setStatusHandler(handler) {
   }
 }
 
+/**
+ * Send a message through the bot, or record it when capturing
+ */
+async function deliverMessage(chatId, text, options) {
+  if (capturedMessages) {
+    capturedMessages.push({ chatId, text, options, at: nowDate().toISOString() });
+    return;
+  }
+  
+  await bot.sendMessage(chatId, text, options);
+}
+
+/**
+ * Record outgoing broadcast/sendMessage messages instead of sending them
+ * Returns the array that captured messages are appended to
+ */
+export function captureMessages() {
+  capturedMessages = [];
+  return capturedMessages;
+}
+
 /**
  * Send a message to all registered users who have a specific market enabled
- * @param {string} message - The message to send
+ * @param {string|function} message - The message to send, or a function (user) => string to format per recipient
  * @param {string} marketId - The market ID to filter users by (optional - if not provided, sends to all)
  * @param {object} options - Additional Telegram options
  */
@@ -562,14 +1513,19 @@ export async function broadcastMessage(message, marketId = null, options = {}) {
   
   let sentCount = 0;
   for (const user of users) {
+    const text = typeof message === 'function' ? message(user) : message;
+    if (!text) continue;
+    
     try {
-      await bot.sendMessage(user.chatId, message, mergedOptions);
+      await deliverMessage(user.chatId, text, mergedOptions);
       sentCount++;
     } catch (err) {
       // Handle blocked/deleted users
+      telegramSendFailures.inc();
       if (err.response?.statusCode === 403) {
         console.log(`🚫 User ${user.chatId} blocked the bot, removing...`);
         removeUser(user.chatId);
+        telegramUsersRemoved.inc();
       } else {
         console.error(`Error sending to ${user.chatId}:`, err.message);
       }
@@ -587,12 +1543,22 @@ export async function sendMessage(chatId, message, options = {}) {
   const mergedOptions = { ...defaultOptions, ...options };
   
   try {
-    await bot.sendMessage(chatId, message, mergedOptions);
+    await deliverMessage(chatId, message, mergedOptions);
   } catch (err) {
+    telegramSendFailures.inc();
     console.error(`Error sending message to ${chatId}:`, err.message);
   }
 }
 
+/**
+ * Send a message to every admin chat (ADMIN_CHAT_IDS)
+ */
+export async function notifyAdmins(message, options = {}) {
+  for (const chatId of ADMIN_CHAT_IDS) {
+    await sendMessage(chatId, message, options);
+  }
+}
+
 /**
  * Get the bot instance
  */
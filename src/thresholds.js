@@ -0,0 +1,90 @@
+/**
+ * Threshold Alerts
+ * Per-user "tell me when <city> goes above/below <temp>" rules, checked on every reading
+ * except fallback ones (yesterday's data, served before today's first observation)
+ *
+ * One-shot rules are deleted after they fire. Recurring rules disarm when they fire and
+ * re-arm once the temperature is back on the other side of the level, so a reading
+ * hovering at the threshold doesn't alert on every poll.
+ */
+
+import { getThresholdsForLocation, updateUserThreshold, removeUserThreshold } from './state.js';
+import { parseUnits, toCelsius, formatTemp } from './units.js';
+import { nowDate } from './clock.js';
+
+/**
+ * Parse "/alert" arguments: "<city> above|below <temp>[°C|°F] [once|recurring]"
+ * Returns { cityName, direction, value, units, recurring } or null
+ */
+export function parseThresholdArgs(text) {
+  const match = text?.trim().match(/^(.+?)\s+(above|below)\s+(-?\d+(?:\.\d+)?)\s*(°?[cf])?(?:\s+(once|recurring))?$/i);
+  if (!match) return null;
+  
+  return {
+    cityName: match[1].trim(),
+    direction: match[2].toLowerCase(),
+    value: parseFloat(match[3]),
+    units: match[4] ? parseUnits(match[4]) : null,
+    recurring: (match[5] || 'once').toLowerCase() === 'recurring'
+  };
+}
+
+/**
+ * Build a rule to store from parsed arguments (the level is stored in °C)
+ */
+export function buildThresholdRule(location, args, defaultUnits) {
+  const units = args.units || defaultUnits;
+  
+  return {
+    locationId: location.id,
+    direction: args.direction,
+    temp: Math.round(toCelsius(args.value, units) * 100) / 100,
+    units,
+    recurring: args.recurring
+  };
+}
+
+/**
+ * Check if a temperature (°C) is on the alerting side of a rule's level
+ */
+export function isThresholdMet(rule, celsius) {
+  return rule.direction === 'above' ? celsius >= rule.temp : celsius <= rule.temp;
+}
+
+/**
+ * Describe a rule, e.g. "above 86°F (recurring)"
+ */
+export function formatThresholdRule(rule, units) {
+  return `${rule.direction} ${formatTemp(rule.temp, units)}${rule.recurring ? ' (recurring)' : ''}`;
+}
+
+/**
+ * Check every user's rules for a location against a new reading
+ * Updates rule state (disarm/re-arm/delete) and returns the rules that fired: [{ user, rule }]
+ * @param {object} options - { isFallback: the reading is yesterday's data - nothing is checked }
+ */
+export function checkThresholds(location, celsius, { isFallback = false } = {}) {
+  const fired = [];
+  
+  // A stale temperature must neither fire nor re-arm a rule
+  if (isFallback) return fired;
+  
+  for (const { user, rule } of getThresholdsForLocation(location.id)) {
+    const met = isThresholdMet(rule, celsius);
+    
+    if (met && rule.armed) {
+      fired.push({ user, rule });
+      
+      if (rule.recurring) {
+        updateUserThreshold(user.chatId, rule.id, { armed: false, lastFiredAt: nowDate().toISOString() });
+      } else {
+        removeUserThreshold(user.chatId, rule.id);
+      }
+    } else if (!met && !rule.armed) {
+      // Back on the other side of the level - ready to fire again
+      updateUserThreshold(user.chatId, rule.id, { armed: true });
+    }
+  }
+  
+  return fired;
+}
@@ -0,0 +1,39 @@
+/**
+ * User Timezones
+ * Helpers for showing times in each user's own display timezone
+ */
+
+import moment from 'moment-timezone';
+import { nowMoment } from './clock.js';
+
+// Display timezone for users who haven't set one with /mytz
+export const DEFAULT_USER_TIMEZONE = 'Europe/Lisbon';
+
+/**
+ * Validate an IANA zone name (case-insensitive)
+ * Returns the canonical zone name, or null if unknown
+ */
+export function parseTimezone(input) {
+  if (!input) return null;
+  
+  const trimmed = input.trim();
+  if (moment.tz.zone(trimmed)) return moment.tz.zone(trimmed).name;
+  
+  const match = moment.tz.names().find(name => name.toLowerCase() === trimmed.toLowerCase());
+  return match || null;
+}
+
+/**
+ * Get the display timezone for a user record
+ */
+export function getTimezoneForUser(user) {
+  return user?.timezone && moment.tz.zone(user.timezone) ? user.timezone : DEFAULT_USER_TIMEZONE;
+}
+
+/**
+ * Format a timestamp (or now) in a timezone, e.g. "2:30 PM WEST"
+ */
+export function formatTimeInZone(timezone, timestamp = undefined) {
+  const base = timestamp ? moment(timestamp) : nowMoment();
+  return base.tz(timezone).format('h:mm A z');
+}
@@ -0,0 +1,128 @@
+/**
+ * Shared Location Tracker
+ * One poller per location fetches the latest observation and fans it out to every /track subscriber
+ *
+ * Ticks are chained with setTimeout (the next tick is scheduled only after all
+ * subscribers have been updated), so slow fetches or retries never overlap.
+ * A poller starts with its first subscriber and stops when the last one leaves.
+ */
+
+import { fetchLatestWeatherData } from './weather.js';
+
+// Time between the end of one tick and the start of the next
+export const TRACK_INTERVAL_MS = 10000;
+
+// Fetch attempts per tick (exponential backoff between them: 2s, 4s)
+const FETCH_ATTEMPTS = 3;
+
+// Format: { locationId: { location, subscribers: Map(key -> handler), timer, running } }
+const pollers = new Map();
+
+/**
+ * Fetch the latest observation, retrying with exponential backoff
+ * Returns: { success, observation, error }
+ */
+async function fetchWithRetry(location) {
+  let lastError = null;
+  
+  for (let attempt = 1; attempt <= FETCH_ATTEMPTS; attempt++) {
+    try {
+      const result = await fetchLatestWeatherData(location);
+      if (result.success) return result;
+      lastError = result.error;
+    } catch (err) {
+      lastError = err.message;
+    }
+    
+    if (attempt < FETCH_ATTEMPTS) {
+      await new Promise(resolve => setTimeout(resolve, Math.pow(2, attempt) * 1000));
+    }
+  }
+  
+  return { success: false, observation: null, error: lastError };
+}
+
+/**
+ * Schedule a poller's next tick
+ */
+function scheduleTick(poller, delay) {
+  poller.timer = setTimeout(() => runTick(poller), delay);
+}
+
+/**
+ * Fetch once and hand the result to every subscriber
+ */
+async function runTick(poller) {
+  poller.timer = null;
+  poller.running = true;
+  
+  try {
+    const result = await fetchWithRetry(poller.location);
+    
+    if (result.success) {
+      console.log(`   🔍 ${poller.location.name} tracking: ${result.observation.source} current=${result.observation.temp}°C, timestamp=${result.observation.observedAt} (${poller.subscribers.size} subscriber(s))`);
+    }
+    
+    // Copy - handlers may unsubscribe themselves (e.g. message deleted)
+    for (const [key, handler] of [...poller.subscribers]) {
+      if (!poller.subscribers.has(key)) continue;
+      
+      try {
+        await handler(result);
+      } catch (err) {
+        console.error(`Error in tracking handler for ${poller.location.name}:`, err.message);
+      }
+    }
+  } catch (err) {
+    console.error(`Error in tracker for ${poller.location.name}:`, err.message);
+  }
+  
+  poller.running = false;
+  
+  // Stopped while this tick was running?
+  if (pollers.get(poller.location.id) !== poller) return;
+  
+  scheduleTick(poller, TRACK_INTERVAL_MS);
+}
+
+/**
+ * Subscribe to live updates for a location
+ * @param {object} location - Location config
+ * @param {string|number} key - Unique subscriber key (e.g. chat id)
+ * @param {function} handler - async (result) => void, called with { success, observation, error } each tick
+ */
+export function subscribeTracking(location, key, handler) {
+  let poller = pollers.get(location.id);
+  
+  if (!poller) {
+    poller = { location, subscribers: new Map(), timer: null, running: false };
+    pollers.set(location.id, poller);
+    scheduleTick(poller, 0);
+    console.log(`🔍 Tracker started for ${location.name}`);
+  }
+  
+  poller.subscribers.set(key, handler);
+}
+
+/**
+ * Unsubscribe from a location; stops its poller when nobody is left
+ */
+export function unsubscribeTracking(locationId, key) {
+  const poller = pollers.get(locationId);
+  if (!poller) return;
+  
+  poller.subscribers.delete(key);
+  
+  if (poller.subscribers.size === 0) {
+    if (poller.timer) clearTimeout(poller.timer);
+    pollers.delete(locationId);
+    console.log(`🛑 Tracker stopped for ${poller.location.name}`);
+  }
+}
+
+/**
+ * Number of subscribers for a location
+ */
+export function getTrackingSubscriberCount(locationId) {
+  return pollers.get(locationId)?.subscribers.size || 0;
+}
@@ -0,0 +1,127 @@
+/**
+ * Temperature Units
+ * Conversion and formatting helpers for per-user °C/°F display
+ */
+
+export const DEFAULT_UNITS = 'C';
+
+export const SUPPORTED_UNITS = ['C', 'F'];
+
+/**
+ * Normalize user input ("f", "fahrenheit", "°C"...) to 'C' or 'F'
+ * Returns null if the input is not a recognised unit
+ */
+export function parseUnits(input) {
+  if (!input) return null;
+  
+  const normalized = input.trim().toUpperCase().replace('°', '');
+  
+  if (normalized === 'C' || normalized === 'CELSIUS') return 'C';
+  if (normalized === 'F' || normalized === 'FAHRENHEIT') return 'F';
+  
+  return null;
+}
+
+/**
+ * Convert a Celsius temperature to the given unit
+ */
+export function convertTemp(celsius, units = DEFAULT_UNITS) {
+  if (celsius === null || celsius === undefined) return null;
+  
+  const value = Number(celsius);
+  if (isNaN(value)) return null;
+  
+  return units === 'F' ? (value * 9 / 5) + 32 : value;
+}
+
+/**
+ * Convert a Celsius temperature difference to the given unit
+ * (no offset - only the scale changes)
+ */
+export function convertTempDelta(celsiusDelta, units = DEFAULT_UNITS) {
+  const value = Number(celsiusDelta);
+  if (isNaN(value)) return null;
+  
+  return units === 'F' ? value * 9 / 5 : value;
+}
+
+/**
+ * Convert a temperature in the given unit back to Celsius
+ */
+export function toCelsius(value, units = DEFAULT_UNITS) {
+  const num = Number(value);
+  if (isNaN(num)) return null;
+  
+  return units === 'F' ? (num - 32) * 5 / 9 : num;
+}
+
+/**
+ * Convert a temperature difference in the given unit back to Celsius
+ */
+export function toCelsiusDelta(delta, units = DEFAULT_UNITS) {
+  const num = Number(delta);
+  if (isNaN(num)) return null;
+  
+  return units === 'F' ? num * 5 / 9 : num;
+}
+
+/**
+ * Round a converted value for display
+ * °F markets settle in whole degrees, °C readings keep one decimal
+ */
+export function roundForUnits(value, units) {
+  if (units === 'F') return Math.round(value);
+  return Math.round(value * 10) / 10;
+}
+
+/**
+ * Format a Celsius temperature for display, e.g. "24.5°C" or "76°F"
+ */
+export function formatTemp(celsius, units = DEFAULT_UNITS) {
+  const converted = convertTemp(celsius, units);
+  if (converted === null) return 'N/A';
+  
+  return `${roundForUnits(converted, units)}°${units}`;
+}
+
+/**
+ * Format a Celsius temperature difference for display, e.g. "1.5°C" or "3°F"
+ */
+export function formatTempDelta(celsiusDelta, units = DEFAULT_UNITS) {
+  const converted = convertTempDelta(celsiusDelta, units);
+  if (converted === null) return 'N/A';
+  
+  return `${roundForUnits(converted, units)}°${units}`;
+}
+
+/**
+ * Format a change between two Celsius temperatures, e.g. a new high against the previous one
+ * Whole °F degrees can hide a real change (27.8°C and 27.9°C are both 82°F), so when
+ * the two would read the same, all three values get one decimal instead
+ * @returns {object} { current, previous, delta } display strings (delta is unsigned)
+ */
+export function formatTempChange(current, previous, units = DEFAULT_UNITS) {
+  const convertedCurrent = convertTemp(current, units);
+  const convertedPrevious = convertTemp(previous, units);
+  const collides = convertedCurrent !== null && convertedPrevious !== null &&
+    roundForUnits(convertedCurrent, units) === roundForUnits(convertedPrevious, units);
+  
+  const format = (value) => {
+    if (value === null) return 'N/A';
+    const rounded = collides ? Math.round(value * 10) / 10 : roundForUnits(value, units);
+    return `${rounded}°${units}`;
+  };
+  
+  return {
+    current: format(convertedCurrent),
+    previous: format(convertedPrevious),
+    delta: format(convertTempDelta(Math.abs(current - previous), units))
+  };
+}
+
+/**
+ * Get the display units for a user record
+ */
+export function getUnitsForUser(user) {
+  return user?.units && SUPPORTED_UNITS.includes(user.units) ? user.units : DEFAULT_UNITS;
+}
@@ -3,15 +3,56 @@
  * Fetches weather data and processes temperature changes
  */
 
-import axios from 'axios';
 import moment from 'moment-timezone';
-import { locations, API_BASE_URL } from '../config/locations.js';
-import { loadLocationState, saveLocationState, cleanupOldStateFiles } from './state.js';
-import { broadcastMessage, sendMessage, setStatusHandler } from './telegram.js';
+import { locations } from '../config/locations.js';
+import { getProvider } from './providers/index.js';
+import { parseTimeString } from './providers/utils.js';
+import { loadLocationState, saveLocationState, hasLocationState, cleanupOldStateFiles, getUser, loadUsers, getUsersForMarket } from './state.js';
+import { broadcastMessage, sendMessage, notifyAdmins, setStatusHandler } from './telegram.js';
+import { formatTemp, formatTempDelta, formatTempChange, getUnitsForUser } from './units.js';
+import { getTimezoneForUser, formatTimeInZone } from './timezones.js';
+import { findBracket } from './brackets.js';
+import { evaluateReading, isNewObservation, DEFAULT_ATTENTION_ZONE } from './alertEngine.js';
+import { checkThresholds } from './thresholds.js';
+import { getSuppression, getSnoozeEnd, isInQuietHours, suppressAlert, takeDeliverableAlerts } from './quiet.js';
+import { buildDaySummary, formatDaySummary } from './daySummary.js';
+import { getHysteresis, hasHysteresisOverride, HYSTERESIS_ALERT_TYPES } from './hysteresis.js';
+import { now, nowDate, nowMoment, sleep } from './clock.js';
+import { estimateFinalHigh, formatForecastLines } from './forecast.js';
+import { archiveReading, pruneArchive } from './archive.js';
+import { dispatchAlert, buildAlertPayload } from './webhooks.js';
+import { publishEvent } from './events.js';
+import {
+  recordFetchSuccess,
+  recordFetchFailure,
+  evaluateFeedHealth,
+  isDataStale,
+  getDataAgeMinutes,
+  forgetFeedHealth
+} from './health.js';
+import {
+  pollDuration,
+  upstreamRequests,
+  upstreamErrors,
+  fallbackReadings,
+  alertsSent,
+  observationAge
+} from './metrics.js';
 
 // Store for current readings (for /status command)
 const currentReadings = new Map();
 
+// Report how old each location's latest observation is
+observationAge.setCollector(() => {
+  const current = now();
+  return [...currentReadings]
+    .filter(([, reading]) => reading.observedAt)
+    .map(([locationId, reading]) => ({
+      labels: { location: locationId },
+      value: Math.round((current - new Date(reading.observedAt).getTime()) / 1000)
+    }));
+});
+
 // Store for dynamic attention zones per location (calculated from historical data)
 // Format: { locationId: { startHour: 13, startMin: 0, endHour: 16, endMin: 0 } }
 const attentionZones = new Map();
@@ -20,6 +61,10 @@ const attentionZones = new Map();
 // Format: { locationId: { avgSustainedCount: 5, data: [3, 5, 7, 4, 6, 5, 5] } }
 const sustainedHighStats = new Map();
 
+// Store for past days' hourly curves per location (for the final-high estimator)
+// Format: { locationId: [{ date: '2025-12-15', hourly: [{ time, temp }] }] }
+const historicalCurves = new Map();
+
 /**
  * Log to console only
  */
@@ -28,52 +73,37 @@ function debugLog(message) {
 }
 
 /**
- * Parse time string (e.g., "2:30 PM") to hours and minutes
+ * Count an upstream request (and a thrown error) for /metrics
  */
-function parseTimeString(timeStr) {
-  const match = timeStr.match(/(\d{1,2}):(\d{2})\s*(AM|PM)/i);
-  if (!match) return null;
-  
-  let hours = parseInt(match[1]);
-  const minutes = parseInt(match[2]);
-  const period = match[3].toUpperCase();
-  
-  if (period === 'PM' && hours !== 12) hours += 12;
-  if (period === 'AM' && hours === 12) hours = 0;
+async function countUpstream(location, endpoint, request) {
+  upstreamRequests.inc({ endpoint, location: location.id });
   
-  return { hours, minutes };
+  try {
+    return await request();
+  } catch (err) {
+    upstreamErrors.inc({ endpoint, location: location.id });
+    throw err;
+  }
 }
 
 /**
  * Fetch historical data for a location for a specific date
+ * Returns a normalized observation (with hourly series) or null
  */
 async function fetchHistoricalData(location, date) {
-  const url = `${API_BASE_URL}?location=${location.apiPath}&date=${date}`;
-  
-  try {
-    const response = await axios.get(url, { timeout: 10000 });
-    return response.data;
-  } catch (err) {
-    return null;
-  }
+  const data = await countUpstream(location, 'history', () => getProvider(location).fetchHistory(location, date));
+  if (!data) upstreamErrors.inc({ endpoint: 'history', location: location.id });
+  return data;
 }
 
 /**
  * Fetch analyzed temperature data for last N days
- * Uses the analysis endpoint: /api/analysis/temperature
+ * Returns normalized days: [{ date, highTime, sustainedCount, hourly }] or null
  */
 async function fetchTemperatureAnalysis(location, days = 7) {
-  const baseUrl = API_BASE_URL.replace('/api/weather/history', '');
-  const url = `${baseUrl}/api/analysis/temperature?location=${location.apiPath}&days=${days}`;
-  
-  try {
-    debugLog(`   📊 Fetching analysis for ${location.name} (last ${days} days)...`);
-    const response = await axios.get(url, { timeout: 15000 });
-    return response.data;
-  } catch (err) {
-    debugLog(`   ❌ Analysis fetch failed: ${err.message}`);
-    return null;
-  }
+  const data = await countUpstream(location, 'analysis', () => getProvider(location).fetchAnalysis(location, days));
+  if (!data) upstreamErrors.inc({ endpoint: 'analysis', location: location.id });
+  return data;
 }
 
 /**
@@ -87,8 +117,8 @@ function findHighTempTime(hourlyData) {
   let maxTimeHour = null;
   
   for (const entry of hourlyData) {
-    if (entry.temperature_c > maxTemp) {
-      maxTemp = entry.temperature_c;
+    if (entry.temp > maxTemp) {
+      maxTemp = entry.temp;
       const parsed = parseTimeString(entry.time);
       if (parsed) {
         maxTimeHour = parsed.hours;
@@ -107,18 +137,18 @@ function countSustainedHighReadings(hourlyData) {
   if (!hourlyData || hourlyData.length === 0) return 0;
   
   // Find the max temperature
-  const maxTemp = Math.max(...hourlyData.map(h => h.temperature_c));
+  const maxTemp = Math.max(...hourlyData.map(h => h.temp));
   
   // Find the first occurrence of max temp
-  let firstMaxIndex = hourlyData.findIndex(h => h.temperature_c === maxTemp);
+  let firstMaxIndex = hourlyData.findIndex(h => h.temp === maxTemp);
   if (firstMaxIndex === -1) return 0;
   
   // Count consecutive readings at max temp
   let sustainedCount = 0;
   for (let i = firstMaxIndex; i < hourlyData.length; i++) {
-    if (hourlyData[i].temperature_c === maxTemp) {
+    if (hourlyData[i].temp === maxTemp) {
       sustainedCount++;
-    } else if (hourlyData[i].temperature_c < maxTemp) {
+    } else if (hourlyData[i].temp < maxTemp) {
       // Temperature dropped, stop counting
       break;
     }
@@ -128,43 +158,33 @@ function countSustainedHighReadings(hourlyData) {
 }
 
 /**
- * Parse analysis endpoint response to extract high times and sustained counts
- * Handles different possible response structures
+ * Extract high times and sustained counts from normalized analysis days
  */
-function parseAnalysisData(analysisData, location) {
+function parseAnalysisData(analysisDays) {
   const highTimes = [];
   const sustainedCounts = [];
   
-  // Try different possible response structures
-  const dailyData = analysisData?.data || analysisData?.daily || analysisData?.days || [];
-  
-  if (!Array.isArray(dailyData)) {
+  if (!Array.isArray(analysisDays)) {
     return { highTimes: [], sustainedCounts: [] };
   }
   
-  for (const day of dailyData) {
-    // Try to find high temperature time
+  for (const day of analysisDays) {
     let highHour = null;
     let sustainedCount = 0;
     
     // Check if analysis already provides high time
-    if (day.high_time) {
-      const parsed = parseTimeString(day.high_time);
-      if (parsed) highHour = parsed.hours;
-    } else if (day.max_time) {
-      const parsed = parseTimeString(day.max_time);
+    if (day.highTime) {
+      const parsed = parseTimeString(day.highTime);
       if (parsed) highHour = parsed.hours;
-    } else if (day.hourly_data) {
+    } else if (day.hourly) {
       // Fallback: calculate from hourly data
-      highHour = findHighTempTime(day.hourly_data);
-      sustainedCount = countSustainedHighReadings(day.hourly_data);
+      highHour = findHighTempTime(day.hourly);
+      sustainedCount = countSustainedHighReadings(day.hourly);
     }
     
     // Get sustained count if available
-    if (day.sustained_count !== undefined) {
-      sustainedCount = day.sustained_count;
-    } else if (day.high_duration_readings !== undefined) {
-      sustainedCount = day.high_duration_readings;
+    if (day.sustainedCount !== null && day.sustainedCount !== undefined) {
+      sustainedCount = day.sustainedCount;
     }
     
     if (highHour !== null) {
@@ -178,6 +198,29 @@ function parseAnalysisData(analysisData, location) {
   return { highTimes, sustainedCounts };
 }
 
+/**
+ * Fetch hourly curves for the last N days, one date at a time
+ * Returns: [{ date, hourly: [{ time, temp }] }] (days without data are skipped)
+ */
+async function fetchRecentDailyCurves(location, days = 7) {
+  const today = nowMoment(location.timezone);
+  const curves = [];
+  
+  for (let i = 1; i <= days; i++) {
+    const date = today.clone().subtract(i, 'days').format('YYYY-MM-DD');
+    const data = await fetchHistoricalData(location, date);
+    
+    if (data?.hourly?.length > 0) {
+      curves.push({ date, hourly: data.hourly });
+    }
+    
+    // Small delay to avoid rate limiting
+    await sleep(300);
+  }
+  
+  return curves;
+}
+
 /**
  * Calculate the attention zone for a location based on last 7 days
  * Uses the analysis endpoint for better accuracy
@@ -194,10 +237,16 @@ async function calculateAttentionZone(location) {
   let sustainedCounts = [];
   
   if (analysisData) {
-    const parsed = parseAnalysisData(analysisData, location);
+    const parsed = parseAnalysisData(analysisData);
     highTimes = parsed.highTimes;
     sustainedCounts = parsed.sustainedCounts;
     
+    // Keep hourly curves (if the analysis includes them) for the estimator
+    const curves = analysisData.filter(day => day.hourly?.length > 0);
+    if (curves.length > 0) {
+      historicalCurves.set(location.id, curves);
+    }
+    
     if (highTimes.length > 0) {
       debugLog(`   ✅ Analysis endpoint: Found ${highTimes.length} days of data`);
       highTimes.forEach((hour, idx) => {
@@ -210,25 +259,18 @@ async function calculateAttentionZone(location) {
   // Fallback to individual date fetches if analysis endpoint fails or returns no data
   if (highTimes.length === 0) {
     debugLog(`   ⚠️ Analysis endpoint unavailable, using individual date fetches...`);
-    const today = moment().tz(location.timezone);
+    const curves = await fetchRecentDailyCurves(location, 7);
+    historicalCurves.set(location.id, curves);
     
-    for (let i = 1; i <= 7; i++) {
-      const date = today.clone().subtract(i, 'days').format('YYYY-MM-DD');
-      const data = await fetchHistoricalData(location, date);
+    for (const { date, hourly } of curves) {
+      const highHour = findHighTempTime(hourly);
+      const sustainedCount = countSustainedHighReadings(hourly);
       
-      if (data?.data?.hourly_data) {
-        const highHour = findHighTempTime(data.data.hourly_data);
-        const sustainedCount = countSustainedHighReadings(data.data.hourly_data);
-        
-        if (highHour !== null) {
-          highTimes.push(highHour);
-          sustainedCounts.push(sustainedCount);
-          debugLog(`   ${date}: High at ${highHour}:00, sustained for ${sustainedCount} readings`);
-        }
+      if (highHour !== null) {
+        highTimes.push(highHour);
+        sustainedCounts.push(sustainedCount);
+        debugLog(`   ${date}: High at ${highHour}:00, sustained for ${sustainedCount} readings`);
       }
-      
-      // Small delay to avoid rate limiting
-      await new Promise(resolve => setTimeout(resolve, 300));
     }
   }
   
@@ -277,6 +319,68 @@ async function initAttentionZones() {
   debugLog('\n✅ Attention zones initialized\n');
 }
 
+/**
+ * (Re)calculate the attention zone for a single location
+ * Used when markets are added or edited at runtime
+ */
+export async function refreshAttentionZone(location) {
+  const zone = await calculateAttentionZone(location);
+  attentionZones.set(location.id, zone);
+  return zone;
+}
+
+/**
+ * Drop all in-memory data for a location (after it is removed)
+ */
+export function forgetLocation(locationId) {
+  currentReadings.delete(locationId);
+  attentionZones.delete(locationId);
+  sustainedHighStats.delete(locationId);
+  historicalCurves.delete(locationId);
+  forgetFeedHealth(locationId);
+}
+
+/**
+ * Get past days' hourly curves for a location
+ * Fetches them day by day if the analysis endpoint didn't include hourly data
+ */
+async function getHistoricalCurves(location) {
+  if (historicalCurves.has(location.id)) {
+    return historicalCurves.get(location.id);
+  }
+  
+  const curves = await fetchRecentDailyCurves(location, 7);
+  historicalCurves.set(location.id, curves);
+  return curves;
+}
+
+/**
+ * Estimate the distribution of today's final high for a location
+ * Uses the latest processed reading; returns null without enough data
+ */
+export async function getHighForecast(location) {
+  const reading = currentReadings.get(location.id);
+  if (!reading) return null;
+  
+  const curves = await getHistoricalCurves(location);
+  const now = nowMoment(location.timezone);
+  
+  return estimateFinalHigh(curves, {
+    currentTemp: reading.temp,
+    currentHigh: reading.high,
+    nowMinutes: now.hour() * 60 + now.minute()
+  });
+}
+
+/**
+ * Format a zone boundary as "1PM", or "1:30PM" when it isn't on the hour
+ */
+function formatZoneTime(hour, minute = 0) {
+  const period = hour >= 12 ? 'PM' : 'AM';
+  const hour12 = hour === 0 ? 12 : (hour > 12 ? hour - 12 : hour);
+  return minute ? `${hour12}:${String(minute).padStart(2, '0')}${period}` : `${hour12}${period}`;
+}
+
 /**
  * Get attention zone info for a location (for display)
  */
@@ -284,13 +388,7 @@ export function getAttentionZoneInfo(locationId) {
   const zone = attentionZones.get(locationId);
   if (!zone) return null;
   
-  const formatHour = (h) => {
-    const period = h >= 12 ? 'PM' : 'AM';
-    const hour12 = h === 0 ? 12 : (h > 12 ? h - 12 : h);
-    return `${hour12}${period}`;
-  };
-  
-  return `${formatHour(zone.startHour)} - ${formatHour(zone.endHour)}`;
+  return `${formatZoneTime(zone.startHour, zone.startMin)} - ${formatZoneTime(zone.endHour, zone.endMin)}`;
 }
 
 /**
@@ -307,6 +405,14 @@ export function getAllAttentionZones() {
   return zones;
 }
 
+/**
+ * Get the latest processed reading for every location
+ * Returns: { locationId: { temp, time, date, high, ... } }
+ */
+export function getCurrentReadings() {
+  return Object.fromEntries(currentReadings);
+}
+
 /**
  * Get sustained high stats for a location
  */
@@ -315,45 +421,39 @@ export function getSustainedHighStats(locationId) {
 }
 
 /**
- * Convert attention zone times to Lisbon timezone
+ * Convert attention zone times to another timezone (e.g. the user's own)
  * Returns formatted string like "1PM - 4PM"
  */
-function convertZoneToLisbonTime(location, zone) {
+function convertZoneToTimezone(location, zone, timezone) {
   if (!zone) return null;
   
-  const formatHour = (h) => {
-    const period = h >= 12 ? 'PM' : 'AM';
-    const hour12 = h === 0 ? 12 : (h > 12 ? h - 12 : h);
-    return `${hour12}${period}`;
-  };
-  
   // Create moment objects in the location's timezone
-  const today = moment().tz(location.timezone);
+  const today = nowMoment(location.timezone);
   const startTime = today.clone().hour(zone.startHour).minute(zone.startMin).second(0);
   const endTime = today.clone().hour(zone.endHour).minute(zone.endMin).second(0);
   
-  // Convert to Lisbon time (Europe/Lisbon)
-  const startLisbon = startTime.clone().tz('Europe/Lisbon');
-  const endLisbon = endTime.clone().tz('Europe/Lisbon');
+  // Convert to the target timezone
+  const startConverted = startTime.clone().tz(timezone);
+  const endConverted = endTime.clone().tz(timezone);
   
-  return `${formatHour(startLisbon.hour())} - ${formatHour(endLisbon.hour())}`;
+  return `${formatZoneTime(startConverted.hour(), startConverted.minute())} - ${formatZoneTime(endConverted.hour(), endConverted.minute())}`;
 }
 
 /**
- * Get all attention zones with Lisbon time conversion
+ * Get all attention zones converted to a user's display timezone
  */
-export function getAllAttentionZonesWithLisbon() {
+export function getAllAttentionZonesForTimezone(timezone) {
   const zones = {};
   for (const location of locations) {
     const zone = attentionZones.get(location.id);
     const localDisplay = getAttentionZoneInfo(location.id) || 'Calculating...';
-    const lisbonDisplay = zone ? convertZoneToLisbonTime(location, zone) : 'Calculating...';
+    const userDisplay = zone ? convertZoneToTimezone(location, zone, timezone) : 'Calculating...';
     const stats = getSustainedHighStats(location.id);
     
     zones[location.id] = {
       ...zone,
       display: localDisplay,
-      lisbonDisplay: lisbonDisplay,
+      userDisplay: userDisplay,
       location: location,
       avgSustainedCount: stats.avgSustainedCount
     };
@@ -365,212 +465,59 @@ export function getAllAttentionZonesWithLisbon() {
  * Get the current date string for a location in its timezone
  */
 function getLocalDate(timezone) {
-  return moment().tz(timezone).format('YYYY-MM-DD');
+  return nowMoment(timezone).format('YYYY-MM-DD');
 }
 
 /**
  * Get the current time string for a location in its timezone
  */
 export function getLocalTime(timezone) {
-  return moment().tz(timezone).format('h:mm A');
+  return nowMoment(timezone).format('h:mm A');
 }
 
 /**
- * Fetch weather data for a location
- * Handles timezone edge cases where local date might be "future" for the API
- */
-/**
- * Fetch latest weather data using the /latest endpoint
- * More accurate for real-time tracking
+ * Fetch latest weather data for real-time tracking
+ * Returns: { success, observation, error }
  */
 export async function fetchLatestWeatherData(location) {
-  const baseUrl = API_BASE_URL.replace('/api/weather/history', '');
-  const url = `${baseUrl}/api/weather/latest?location=${location.apiPath}`;
-  
-  try {
-    const response = await axios.get(url, { timeout: 10000 });
-    return {
-      success: true,
-      data: response.data
-    };
-  } catch (err) {
-    console.error(`Error fetching latest data for ${location.name}:`, err.message);
-    return {
-      success: false,
-      error: err.message
-    };
-  }
-}
-
-export async function fetchWeatherData(location, forceFresh = false) {
-  const localDate = getLocalDate(location.timezone);
-  let url = `${API_BASE_URL}?location=${location.apiPath}&date=${localDate}`;
-  
-  // Add cache-busting parameter if we need fresh data
-  if (forceFresh) {
-    url += `&_=${Date.now()}`;
-  }
-  
-  debugLog(`\n📡 [${location.name}] ${url}`);
-  
-  try {
-    const response = await axios.get(url, { timeout: 10000 });
-    const data = response.data;
-    
-    // Log the response details
-    const current = data?.data?.current?.temperature?.celsius;
-    const dailyMax = data?.data?.daily?.temperature?.max;
-    const dailyMin = data?.data?.daily?.temperature?.min;
-    const condition = data?.data?.current?.condition;
-    const cacheHit = data?.metadata?.cache_hit;
-    
-    // Get hourly data info
-    const hourlyData = data?.data?.hourly_data || [];
-    const latestHourly = hourlyData.length > 0 ? hourlyData[hourlyData.length - 1] : null;
-    const hourlyTemp = latestHourly?.temperature_c;
-    const hourlyTime = latestHourly?.time;
-    
-    debugLog(`   ✅ cur=${current}°C max=${dailyMax}°C min=${dailyMin}°C`);
-    debugLog(`   📋 "${condition}" | Cache: ${cacheHit ? 'HIT' : 'MISS'}`);
-    if (hourlyTemp !== undefined) {
-      debugLog(`   📊 hourly[last]: ${hourlyTemp}°C at ${hourlyTime}`);
-    }
-    
-    return {
-      success: true,
-      data: response.data,
-      localDate
-    };
-  } catch (err) {
-    // If the API says date is in the future, try yesterday's date
-    if (err.response?.status === 400) {
-      const responseData = err.response?.data;
-      const isFutureDateError = responseData?.error?.details?.some(
-        d => d.message?.includes('future')
-      );
-      
-      if (isFutureDateError) {
-        // Try with yesterday's date (API might not have today's data yet)
-        const yesterdayDate = moment().tz(location.timezone).subtract(1, 'day').format('YYYY-MM-DD');
-        const fallbackUrl = `${API_BASE_URL}?location=${location.apiPath}&date=${yesterdayDate}`;
-        
-        debugLog(`   ⏰ Future date, using ${yesterdayDate}`);
-        
-        try {
-          const fallbackResponse = await axios.get(fallbackUrl, { timeout: 10000 });
-          const data = fallbackResponse.data;
-          
-          // Log fallback response
-          const current = data?.data?.current?.temperature?.celsius;
-          const dailyMax = data?.data?.daily?.temperature?.max;
-          const condition = data?.data?.current?.condition;
-          
-          debugLog(`   ✅ cur=${current}°C max=${dailyMax}°C`);
-          debugLog(`   📋 "${condition}"`);
-          
-          return {
-            success: true,
-            data: fallbackResponse.data,
-            localDate: yesterdayDate,
-            isFallback: true
-          };
-        } catch (fallbackErr) {
-          debugLog(`   ❌ Fallback failed: ${fallbackErr.message}`);
-        }
-      }
-    }
-    
-    debugLog(`   ❌ Error: ${err.message}`);
-    if (err.response?.data) {
-      debugLog(`   📄 ${JSON.stringify(err.response.data)}`);
-    }
-    
-    return {
-      success: false,
-      error: err.message,
-      localDate
-    };
-  }
+  const result = await countUpstream(location, 'latest', () => getProvider(location).fetchLatest(location));
+  if (!result.success) upstreamErrors.inc({ endpoint: 'latest', location: location.id });
+  return result;
 }
 
 /**
- * Extract current temperature from API response
- * Finds the absolute most recent reading by comparing timestamps
+ * Fetch the current observation for a location's local date
+ * Returns: { success, observation, localDate, isFallback, error }
  */
-export function extractCurrentTemp(apiResponse) {
-  // The API wraps everything in { success, data }
-  const data = apiResponse?.data || apiResponse;
-  
-  const currentTemp = data?.current?.temperature?.celsius;
-  const currentTimestamp = data?.timestamp || data?.data?.timestamp;
-  
-  // Parse all hourly_data entries and find the most recent one
-  let mostRecentHourly = null;
-  let mostRecentTime = null;
-  
-  if (data?.hourly_data && Array.isArray(data.hourly_data) && data.hourly_data.length > 0) {
-    // Find the entry with the latest time
-    for (const entry of data.hourly_data) {
-      if (entry.temperature_c !== undefined && entry.time) {
-        const parsed = parseTimeString(entry.time);
-        if (parsed) {
-          const entryTime = parsed.hours * 60 + parsed.minutes;
-          if (mostRecentTime === null || entryTime > mostRecentTime) {
-            mostRecentTime = entryTime;
-            mostRecentHourly = entry.temperature_c;
-          }
-        }
-      }
-    }
-  }
-  
-  // Compare current.temperature timestamp with hourly_data
-  // If we have a timestamp, prefer the more recent one
-  // Otherwise, prefer current.temperature (usually more recent)
-  if (typeof currentTemp === 'number') {
-    // If we have hourly data, compare times
-    if (mostRecentHourly !== null && currentTimestamp) {
-      // For now, prefer current.temperature as it's usually the API's "current" reading
-      // But log both for debugging
-      return currentTemp;
-    }
-    return currentTemp;
-  }
-  
-  if (mostRecentHourly !== null) {
-    return mostRecentHourly;
-  }
+export async function fetchWeatherData(location, forceFresh = false) {
+  const localDate = getLocalDate(location.timezone);
+  const result = await countUpstream(location, 'history', () =>
+    getProvider(location).fetchObservation(location, { date: localDate, forceFresh })
+  );
   
-  // Other fallbacks
-  if (typeof data?.temperature?.celsius === 'number') return data.temperature.celsius;
-  if (typeof data?.temp === 'number') return data.temp;
+  if (!result.success) upstreamErrors.inc({ endpoint: 'history', location: location.id });
+  if (result.isFallback) fallbackReadings.inc({ location: location.id });
   
-  return null;
+  return result;
 }
 
 /**
- * Extract daily high temperature from API response
- * API structure: { success: true, data: { daily: { temperature: { max: X } } } }
+ * Test-fetch a location to validate its API path
+ * Returns: { success: boolean, temp?: number, error?: string }
  */
-function extractDailyHigh(apiResponse) {
-  const data = apiResponse?.data || apiResponse;
+export async function testLocationFetch(location) {
+  const result = await fetchWeatherData(location);
   
-  // Primary path: data.daily.temperature.max
-  if (typeof data?.daily?.temperature?.max === 'number') {
-    return data.daily.temperature.max;
+  if (!result.success) {
+    return { success: false, error: result.error };
   }
   
-  // Fallback: find max from hourly_data
-  if (data?.hourly_data && Array.isArray(data.hourly_data) && data.hourly_data.length > 0) {
-    const temps = data.hourly_data
-      .map(h => h.temperature_c)
-      .filter(t => typeof t === 'number');
-    if (temps.length > 0) {
-      return Math.max(...temps);
-    }
+  const temp = result.observation.temp;
+  if (temp === null || isNaN(temp)) {
+    return { success: false, error: 'No temperature in API response' };
   }
   
-  return null;
+  return { success: true, temp };
 }
 
 /**
@@ -580,14 +527,16 @@ async function processLocation(location) {
   const result = await fetchWeatherData(location);
   
   if (!result.success) {
+    recordFetchFailure(location.id, result.error);
     return null;
   }
   
-  const currentTemp = extractCurrentTemp(result.data);
-  const dailyHigh = extractDailyHigh(result.data);
+  const currentTemp = result.observation.temp;
+  const dailyHigh = result.observation.dailyMax;
   
   if (currentTemp === null) {
     debugLog(`⚠️ Could not extract temp for ${location.name}`);
+    recordFetchFailure(location.id, 'No temperature in response');
     return null;
   }
   
@@ -595,9 +544,12 @@ async function processLocation(location) {
   const currentTempNum = Number(currentTemp);
   if (isNaN(currentTempNum)) {
     debugLog(`⚠️ Invalid temperature for ${location.name}: ${currentTemp}`);
+    recordFetchFailure(location.id, `Invalid temperature: ${currentTemp}`);
     return null;
   }
   
+  recordFetchSuccess(location.id, result.observation.observedAt);
+  
   // Use actual local date for state management (not API fallback date)
   // This ensures we track today's state even if API hasn't updated yet
   const actualLocalDate = getLocalDate(location.timezone);
@@ -616,105 +568,86 @@ async function processLocation(location) {
     : currentTempNum;
   
   // Store for /status command
-  currentReadings.set(location.id, {
+  const reading = {
     temp: currentTempNum,
     time: localTime,
     date: actualLocalDate,  // Show actual local date, not API fallback date
     high: displayHigh,      // Use our tracked/observed high
     apiDailyMax: dailyHigh, // Keep API's daily max for reference
+    observedAt: result.observation.observedAt,
+    source: result.observation.source,
     isFallback: result.isFallback || false
+  };
+  currentReadings.set(location.id, reading);
+  publishEvent('reading', location.id, reading);
+  
+  // Keep every reading in the long-term archive
+  archiveReading(location.id, {
+    temp: currentTempNum,
+    source: result.observation.source,
+    isFallback: result.isFallback || false,
+    observedAt: result.observation.observedAt
   });
   
-  const alerts = [];
+  // Per-user threshold rules (sent only to each rule's owner; not on fallback readings)
+  await sendThresholdAlerts(location, currentTempNum, { isFallback: reading.isFallback });
   
-  // First reading of the day - establish baseline silently
-  if (state.highTemp === null) {
-    state.highTemp = currentTempNum;
-    state.lastTemp = currentTempNum;
-    state.hasAlertedDrop = false;
-    state.history.push({ temp: currentTempNum, time: localTime });
-    saveLocationState(location.id, actualLocalDate, state);
-    
-    debugLog(`   📊 BASELINE: ${currentTempNum}°C`);
+  // Yesterday's data and repeat polls of an evaluated observation don't alert (backtests skip them too)
+  if (!isNewObservation(state, reading)) {
+    debugLog(`   ↺ ${reading.isFallback ? 'Fallback reading' : 'Same observation'}, not evaluated`);
     return null;
   }
   
-  // Log current state
-  debugLog(`   📊 high=${state.highTemp}°C last=${state.lastTemp}°C drop=${state.hasAlertedDrop}`);
-  debugLog(`   🌡️ cur=${currentTempNum}°C disp=${displayHigh}°C`);
+  const isBaseline = state.highTemp === null;
+  
+  if (!isBaseline) {
+    debugLog(`   📊 high=${state.highTemp}°C last=${state.lastTemp}°C drop=${state.hasAlertedDrop}`);
+    debugLog(`   🌡️ cur=${currentTempNum}°C disp=${displayHigh}°C`);
+  }
   
   // Check if we're in the attention zone
   const inAttentionZone = isInCriticalWindow(location.timezone, location.id);
   
-  // Ensure highTemp is a number for comparison
-  const highTempNum = Number(state.highTemp);
+  // Subscribers with their own new high/drop sensitivity get separately gated alerts
+  const overrides = Object.fromEntries(
+    getUsersForMarket(location.id)
+      .filter(hasHysteresisOverride)
+      .map(user => [user.chatId, getHysteresis(location, user)])
+  );
   
-  // Check for new high (based on our tracked observations)
-  if (!isNaN(currentTempNum) && !isNaN(highTempNum) && currentTempNum > highTempNum) {
-    const prevHigh = state.highTemp;
-    state.highTemp = currentTempNum;
-    state.hasAlertedDrop = false; // Reset drop alert flag for new high
-    state.sustainedHighCount = 1; // Reset sustained count for new high
-    state.lastHighAlertTemp = currentTempNum; // Track what temp we alerted for
-    
-    alerts.push({
-      type: 'new_high',
-      location,
-      temp: currentTempNum,
-      prevHigh,
-      time: localTime,
-      date: actualLocalDate
-    });
-    
-    debugLog(`   🚨 NEW HIGH ${currentTempNum}°C (was ${prevHigh}°C)`);
-  }
-  // Check for first drop from high
-  else if (!isNaN(currentTempNum) && !isNaN(highTempNum) && currentTempNum < highTempNum && !state.hasAlertedDrop) {
-    state.hasAlertedDrop = true;
-    state.sustainedHighCount = 0; // Reset sustained count on drop
-    
-    alerts.push({
-      type: 'drop',
-      location,
-      temp: currentTempNum,
-      high: highTempNum,
-      time: localTime,
-      date: actualLocalDate
-    });
-    
-    debugLog(`   🚨 DROP to ${currentTempNum}°C (high ${highTempNum}°C)`);
-  }
-  // Check for sustained high during attention zone (temp equals current high)
-  else if (inAttentionZone && !isNaN(currentTempNum) && !isNaN(highTempNum) && currentTempNum === highTempNum && !state.hasAlertedDrop) {
-    // Initialize if not set
-    if (!state.sustainedHighCount) state.sustainedHighCount = 1;
-    
-    // Increment sustained count
-    state.sustainedHighCount++;
-    
-    // Alert for sustained highs (2nd occurrence and beyond)
-    if (state.sustainedHighCount >= 2) {
-      alerts.push({
-        type: 'sustained_high',
-        location,
-        temp: currentTempNum,
-        count: state.sustainedHighCount,
-        time: localTime,
-        date: actualLocalDate
-      });
-      
-      debugLog(`   🔥 SUSTAINED HIGH x${state.sustainedHighCount} at ${currentTempNum}°C`);
-    }
-  } else {
+  const { state: newState, alerts } = evaluateReading(state, {
+    temp: currentTempNum,
+    time: localTime,
+    date: actualLocalDate,
+    timestamp: nowDate().toISOString(),
+    observedAt: result.observation.observedAt
+  }, {
+    location,
+    inAttentionZone,
+    zone: attentionZones.get(location.id),
+    hysteresis: getHysteresis(location),
+    overrides
+  });
+  
+  if (isBaseline) {
+    debugLog(`   📊 BASELINE: ${currentTempNum}°C`);
+  } else if (alerts.length === 0) {
     debugLog(`   ✓ No alert`);
   }
+  alerts.forEach(alert => debugLog(`   🚨 ${alert.type.toUpperCase()} ${alert.temp}°C${alert.chatId ? ` (user ${alert.chatId})` : ''}`));
+  
+  saveLocationState(location.id, actualLocalDate, newState);
   
-  // Update state (always use actual local date)
-  state.lastTemp = currentTempNum;
-  state.history.push({ temp: currentTempNum, time: localTime });
-  saveLocationState(location.id, actualLocalDate, state);
+  if (alerts.length === 0) return null;
+  
+  // Attach the final-high estimate so alerts can show P(high ≥ X)
+  const estimate = await getHighForecast(location);
+  alerts.forEach(alert => {
+    alert.estimate = estimate;
+    alert.inAttentionZone = inAttentionZone;
+  });
   
-  return alerts.length > 0 ? alerts : null;
+  return alerts;
 }
 
 /**
@@ -726,12 +659,12 @@ function isInCriticalWindow(timezone, locationId) {
   
   // Fallback to default if no zone calculated
   if (!zone) {
-    const now = moment().tz(timezone);
+    const now = nowMoment(timezone);
     const hour = now.hour();
     return hour >= 13 && hour < 16; // Default 1PM-4PM
   }
   
-  const now = moment().tz(timezone);
+  const now = nowMoment(timezone);
   const hour = now.hour();
   const minute = now.minute();
   
@@ -743,17 +676,171 @@ function isInCriticalWindow(timezone, locationId) {
 }
 
 /**
- * Format alert message for Telegram
+ * Format a per-user threshold alert
  */
-function formatAlert(alert) {
-  const { location, temp, time, date } = alert;
+function formatThresholdAlert(location, rule, temp, user) {
+  const units = getUnitsForUser(user);
+  const level = formatTemp(rule.temp, units);
+  const opposite = rule.direction === 'above' ? 'below' : 'above';
+  const footer = rule.recurring
+    ? `_Recurring - fires again after it goes back ${opposite} ${level}_`
+    : `_One-time alert, now removed_`;
+  
+  return `🔔 *THRESHOLD ALERT*\n\n` +
+    `${location.emoji} *${location.name}*\n` +
+    `🌡️ *${formatTemp(temp, units)}* — ${rule.direction} ${level}\n` +
+    `🕐 ${getLocalTime(location.timezone)} local • ${formatTimeInZone(getTimezoneForUser(user), nowDate())} your time\n\n` +
+    footer;
+}
+
+/**
+ * Check per-user threshold rules against a new reading and notify their owners
+ */
+async function sendThresholdAlerts(location, temp, { isFallback = false } = {}) {
+  for (const { user, rule } of checkThresholds(location, temp, { isFallback })) {
+    const inAttentionZone = isInCriticalWindow(location.timezone, location.id);
+    if (getSuppression(user, location.id, { inAttentionZone })) {
+      suppressAlert(user, {
+        locationId: location.id,
+        type: 'threshold',
+        temp,
+        direction: rule.direction,
+        level: rule.temp,
+        time: getLocalTime(location.timezone),
+        date: getLocalDate(location.timezone)
+      });
+      continue;
+    }
+    
+    await sendMessage(user.chatId, formatThresholdAlert(location, rule, temp, user));
+    debugLog(`   🔔 Threshold ${rule.direction} ${rule.temp}°C for ${user.chatId}`);
+  }
+}
+
+/**
+ * Reduce an alert to what the catch-up summary needs
+ */
+function toQueuedAlert(alert) {
+  return {
+    locationId: alert.location.id,
+    type: alert.type,
+    temp: alert.temp,
+    prevHigh: alert.prevHigh ?? null,
+    high: alert.high ?? null,
+    count: alert.count ?? null,
+    bracket: alert.bracket ?? null,
+    slope: alert.slope ?? null,
+    time: alert.time,
+    date: alert.date
+  };
+}
+
+/**
+ * Format one queued alert as a summary line
+ */
+function formatQueuedAlertLine(entry, units) {
+  const location = locations.find(l => l.id === entry.locationId);
+  const name = location ? `${location.emoji} ${location.name}` : entry.locationId;
+  const temp = formatTemp(entry.temp, units);
+  
+  const descriptions = {
+    new_high: `📈 New high ${temp}`,
+    drop: `📉 Drop to ${temp} (high ${formatTemp(entry.high, units)})`,
+    sustained_high: `🔥 High held at ${temp} (x${entry.count})`,
+    bracket_cross: `🎯 Bracket ${entry.bracket}`,
+    rapid_rise: `⚡ Rising ${formatTempDelta(entry.slope, units)}/h at ${temp}`,
+    rapid_fall: `⚡ Falling ${formatTempDelta(Math.abs(entry.slope), units)}/h at ${temp}`,
+    threshold: `🔔 ${entry.direction} ${formatTemp(entry.level, units)}: ${temp}`
+  };
+  
+  return `${name} ${descriptions[entry.type] || `${entry.type} ${temp}`} • ${entry.time}`;
+}
+
+// Most lines shown in a catch-up summary (the rest are counted)
+const MAX_CATCH_UP_LINES = 30;
+
+/**
+ * Format the catch-up summary for alerts held back during quiet hours/snooze
+ */
+function formatCatchUpSummary(entries, user) {
+  const units = getUnitsForUser(user);
+  const shown = entries.slice(-MAX_CATCH_UP_LINES);
+  const hidden = entries.length - shown.length;
+  
+  let message = `🌅 *CATCH-UP* — ${entries.length} alert(s) while you were away\n\n`;
+  if (hidden > 0) {
+    message += `_...${hidden} earlier alert(s) not shown_\n`;
+  }
+  message += shown.map(entry => formatQueuedAlertLine(entry, units)).join('\n');
+  
+  return message;
+}
+
+/**
+ * Send each user the alerts queued while they were in quiet hours or snoozed, once that ends
+ */
+async function sendCatchUpSummaries() {
+  for (const user of loadUsers()) {
+    const entries = takeDeliverableAlerts(user);
+    if (entries.length === 0) continue;
+    
+    await sendMessage(user.chatId, formatCatchUpSummary(entries, user));
+    debugLog(`🌅 Catch-up with ${entries.length} alert(s) sent to ${user.chatId}`);
+  }
+}
+
+/**
+ * Send the end-of-day recap once a location's local day has rolled over
+ * The previous day's state file records that its summary went out, so restarts don't repeat it
+ */
+async function sendDaySummary(location) {
+  const previousDate = nowMoment(location.timezone).subtract(1, 'day').format('YYYY-MM-DD');
+  if (!hasLocationState(location.id, previousDate)) return;
+  
+  const state = loadLocationState(location.id, previousDate);
+  if (state.summarySent) return;
+  
+  const summary = buildDaySummary(state, attentionZones.get(location.id) || DEFAULT_ATTENTION_ZONE);
+  if (summary) {
+    for (const user of getUsersForMarket(location.id)) {
+      // Snoozed users skip it; during quiet hours it arrives silently
+      if (getSnoozeEnd(user, location.id)) continue;
+      await sendMessage(user.chatId, formatDaySummary(location, previousDate, summary, user), {
+        disable_notification: isInQuietHours(user)
+      });
+    }
+    debugLog(`🌙 ${location.name} end-of-day summary sent for ${previousDate}`);
+  }
+  
+  saveLocationState(location.id, previousDate, { ...state, summarySent: true });
+}
+
+/**
+ * Format alert message for Telegram for a specific recipient
+ * Uses the user's display units and shows the alert time in their timezone
+ */
+function formatAlert(alert, user = null) {
+  const { location, temp, date } = alert;
+  const units = getUnitsForUser(user);
   const dateFormatted = moment(date).format('MMM D');
   
+  // Local market time plus the user's own time
+  const userTime = formatTimeInZone(getTimezoneForUser(user), alert.timestamp);
+  const timeLine = `${alert.time} (${dateFormatted}) • ${userTime} your time`;
+  
   // Check if this alert is during the attention zone (dynamic per location)
   const isCritical = isInCriticalWindow(location.timezone, location.id);
   const zoneInfo = getAttentionZoneInfo(location.id) || '1PM - 4PM';
+  const zone = attentionZones.get(location.id);
+  const userZoneInfo = zone ? `\n🏠 ${convertZoneToTimezone(location, zone, getTimezoneForUser(user))} your time` : '';
+  
+  // Probability the high climbs to the next degree (in the user's units)
+  const forecastLines = formatForecastLines(alert.estimate, units);
+  const forecastLine = forecastLines.length > 0 ? `\n🔮 ${forecastLines.join(' • ')}` : '';
   
   if (alert.type === 'new_high') {
+    const rise = formatTempChange(temp, alert.prevHigh, units);
+    
     if (isCritical) {
       // SPECIAL ALERT: New high during attention zone
       return (
@@ -761,26 +848,26 @@ function formatAlert(alert) {
         `⚠️ *ATTENTION ZONE - NEW HIGH* ⚠️\n` +
         `🚨🚨🚨🚨🚨🚨🚨🚨🚨🚨🚨🚨\n\n` +
         `${location.emoji} *${location.name}*\n\n` +
-        `🌡️ NEW HIGH: *${temp}°C*\n` +
-        `📊 Previous: ${alert.prevHigh}°C (+${temp - alert.prevHigh}°C)\n` +
-        `🕐 ${time} (${dateFormatted})\n\n` +
+        `🌡️ NEW HIGH: *${rise.current}*\n` +
+        `📊 Previous: ${rise.previous} (+${rise.delta})\n` +
+        `🕐 ${timeLine}${forecastLine}\n\n` +
         `━━━━━━━━━━━━━━━━━━━━━━\n` +
-        `⏰ *PEAK WINDOW: ${zoneInfo}*\n` +
+        `⏰ *PEAK WINDOW: ${zoneInfo}*${userZoneInfo}\n` +
         `━━━━━━━━━━━━━━━━━━━━━━`
       );
     } else {
       return (
         `📈 *NEW HIGH RECORDED*\n\n` +
         `${location.emoji} *${location.name}*\n` +
-        `🌡️ Temperature: *${temp}°C*\n` +
-        `📊 Previous High: ${alert.prevHigh}°C\n` +
-        `🕐 Time: ${time} (${dateFormatted})`
+        `🌡️ Temperature: *${rise.current}*\n` +
+        `📊 Previous High: ${rise.previous}\n` +
+        `🕐 Time: ${timeLine}${forecastLine}`
       );
     }
   }
   
   if (alert.type === 'drop') {
-    const dropAmount = (alert.high - temp).toFixed(1);
+    const drop = formatTempChange(temp, alert.high, units);
     
     if (isCritical) {
       // SPECIAL ALERT: First drop during attention zone
@@ -789,20 +876,20 @@ function formatAlert(alert) {
         `⚠️ *ATTENTION ZONE - DROP* ⚠️\n` +
         `🚨🚨🚨🚨🚨🚨🚨🚨🚨🚨🚨🚨\n\n` +
         `${location.emoji} *${location.name}*\n\n` +
-        `🌡️ DROPPED TO: *${temp}°C*\n` +
-        `📊 From High: ${alert.high}°C (↓${dropAmount}°C)\n` +
-        `🕐 ${time} (${dateFormatted})\n\n` +
+        `🌡️ DROPPED TO: *${drop.current}*\n` +
+        `📊 From High: ${drop.previous} (↓${drop.delta})\n` +
+        `🕐 ${timeLine}${forecastLine}\n\n` +
         `━━━━━━━━━━━━━━━━━━━━━━\n` +
-        `⏰ *PEAK WINDOW: ${zoneInfo}*\n` +
+        `⏰ *PEAK WINDOW: ${zoneInfo}*${userZoneInfo}\n` +
         `━━━━━━━━━━━━━━━━━━━━━━`
       );
     } else {
       return (
         `📉 *TEMPERATURE DROP*\n\n` +
         `${location.emoji} *${location.name}*\n` +
-        `🌡️ Current: *${temp}°C*\n` +
-        `📊 Day's High: ${alert.high}°C (↓${dropAmount}°C)\n` +
-        `🕐 Time: ${time} (${dateFormatted})`
+        `🌡️ Current: *${drop.current}*\n` +
+        `📊 Day's High: ${drop.previous} (↓${drop.delta})\n` +
+        `🕐 Time: ${timeLine}${forecastLine}`
       );
     }
   }
@@ -828,48 +915,159 @@ function formatAlert(alert) {
       `🎯 *HIGH HOLDING STRONG* 🎯\n` +
       `🔥🔥🔥🔥🔥🔥🔥🔥🔥🔥🔥🔥\n\n` +
       `${location.emoji} *${location.name}*\n\n` +
-      `🌡️ *${temp}°C* — ${ordinal} reading at peak\n` +
+      `🌡️ *${formatTemp(temp, units)}* — ${ordinal} reading at peak\n` +
       `${comparison}\n` +
-      `🕐 ${time} (${dateFormatted})\n\n` +
+      `🕐 ${timeLine}${forecastLine}\n\n` +
       `━━━━━━━━━━━━━━━━━━━━━━\n` +
-      `⏰ *PEAK WINDOW: ${zoneInfo}*\n` +
+      `⏰ *PEAK WINDOW: ${zoneInfo}*${userZoneInfo}\n` +
       `━━━━━━━━━━━━━━━━━━━━━━`
     );
   }
   
+  // Running high moved into a new bracket
+  if (alert.type === 'bracket_cross') {
+    const zoneLine = isCritical ? `⏰ *PEAK WINDOW: ${zoneInfo}*${userZoneInfo}\n` : '';
+    
+    return (
+      `🎯 *NEW BRACKET*\n\n` +
+      `${location.emoji} *${location.name}*\n` +
+      `📊 Bracket: ${alert.prevBracket} → *${alert.bracket}*\n` +
+      `🌡️ Day's High: *${formatTemp(temp, units)}*\n` +
+      `🕐 Time: ${timeLine}${forecastLine}\n` +
+      `${zoneLine}`
+    );
+  }
+  
+  // Temperature moving unusually fast
+  if (alert.type === 'rapid_rise' || alert.type === 'rapid_fall') {
+    const rising = alert.type === 'rapid_rise';
+    const rate = `${rising ? '+' : '−'}${formatTempDelta(Math.abs(alert.slope), units)}/h`;
+    const projectionLine = alert.projected !== null
+      ? `🔭 On this pace: *${formatTemp(alert.projected, units)}* by ${alert.projectedTime} (attention zone end)\n`
+      : '';
+    const zoneLine = isCritical ? `⏰ *PEAK WINDOW: ${zoneInfo}*${userZoneInfo}\n` : '';
+    
+    return (
+      `⚡ *${rising ? 'RAPID RISE' : 'RAPID FALL'}*\n\n` +
+      `${location.emoji} *${location.name}*\n` +
+      `🌡️ Current: *${formatTemp(temp, units)}* (${rate} over the last ${alert.windowMinutes} min)\n` +
+      projectionLine +
+      `🕐 Time: ${timeLine}${forecastLine}\n` +
+      `${zoneLine}`
+    );
+  }
+  
   return '';
 }
 
+/**
+ * Format the /status bracket line for a location's high (empty if no brackets)
+ */
+function formatBracketStatus(location, high) {
+  const bracket = high !== null ? findBracket(location, high) : null;
+  return bracket ? `   └ 🎯 Bracket: *${bracket.label}*\n` : '';
+}
+
+/**
+ * Format a data feed stale/recovered message for admins
+ */
+function formatFeedHealthAlert(location, health) {
+  const age = health.ageMinutes !== null ? `${health.ageMinutes} min ago` : 'never';
+  
+  if (health.status === 'recovered') {
+    return `✅ *DATA FEED RECOVERED*\n\n` +
+      `${location.emoji} *${location.name}*\n` +
+      `Latest observation: ${age}`;
+  }
+  
+  let message = `⚠️ *DATA FEED STALE*\n\n` +
+    `${location.emoji} *${location.name}*\n` +
+    `Latest observation: ${age}\n` +
+    `Consecutive failures: ${health.failures}`;
+  
+  if (health.lastError) {
+    message += `\nLast error: ${health.lastError}`;
+  }
+  
+  return message;
+}
+
+/**
+ * Flag a location in /status if its data is older than the stale threshold
+ */
+function formatStaleNote(location) {
+  if (!isDataStale(location.id)) return '';
+  return `   └ ⚠️ Stale: data is ${getDataAgeMinutes(location.id)} min old\n`;
+}
+
+/**
+ * Check if an alert is meant for a user
+ * Users with their own sensitivity get their own new high/drop alerts instead of the market's
+ */
+function isAlertForUser(alert, user) {
+  if (alert.chatId !== undefined) return alert.chatId === user.chatId;
+  return !(HYSTERESIS_ALERT_TYPES.includes(alert.type) && hasHysteresisOverride(user));
+}
+
 /**
  * Main polling function - processes all locations
  */
 export async function pollAllLocations() {
-  debugLog(`\n⏰ POLL @ ${new Date().toISOString()}`);
+  debugLog(`\n⏰ POLL @ ${nowDate().toISOString()}`);
   
   const allAlerts = [];
   
-  for (const location of locations) {
+  // Iterate over a copy - markets may be added/removed mid-poll
+  for (const location of [...locations]) {
+    const endTimer = pollDuration.startTimer({ location: location.id });
     try {
+      await sendDaySummary(location);
       const alerts = await processLocation(location);
       if (alerts && alerts.length > 0) {
         allAlerts.push(...alerts);
       }
     } catch (err) {
       debugLog(`❌ ${location.name}: ${err.message}`);
+      recordFetchFailure(location.id, err.message);
+    }
+    endTimer();
+    
+    // Tell admins when a feed goes stale or comes back
+    const health = evaluateFeedHealth(location.id);
+    if (health) {
+      debugLog(`🩺 ${location.name} feed ${health.status}`);
+      await notifyAdmins(formatFeedHealthAlert(location, health));
     }
     
     // Small delay between requests to avoid rate limiting
-    await new Promise(resolve => setTimeout(resolve, 500));
+    await sleep(500);
   }
   
+  // Deliver catch-up summaries to users whose quiet hours or snoozes have ended (before any new alerts)
+  await sendCatchUpSummaries();
+  
   // Send alerts to users who have each market enabled
   if (allAlerts.length > 0) {
     for (const alert of allAlerts) {
-      const message = formatAlert(alert);
-      if (message) {
-        await broadcastMessage(message, alert.location.id);
-        debugLog(`📤 ${alert.location.name} alert sent`);
-      }
+      // Format per recipient so each user gets their preferred units and timezone
+      // Users in quiet hours or snoozed get nothing now (the alert is queued or dropped)
+      const message = (user) => {
+        if (!isAlertForUser(alert, user)) return null;
+        if (getSuppression(user, alert.location.id, { inAttentionZone: alert.inAttentionZone })) {
+          suppressAlert(user, toQueuedAlert(alert));
+          return null;
+        }
+        return formatAlert(alert, user);
+      };
+      await broadcastMessage(message, alert.location.id);
+      
+      // Per-user alerts only go to their Telegram recipient
+      if (alert.chatId !== undefined) continue;
+      
+      dispatchAlert(alert);
+      publishEvent('alert', alert.location.id, buildAlertPayload(alert));
+      alertsSent.inc({ type: alert.type });
+      debugLog(`📤 ${alert.location.name} alert sent`);
     }
   } else {
     debugLog(`✅ No alerts to send.`);
@@ -888,8 +1086,7 @@ async function fetchCurrentDataForStatus(location) {
     return null;
   }
   
-  const currentTemp = extractCurrentTemp(result.data);
-  const dailyHigh = extractDailyHigh(result.data);
+  const currentTemp = result.observation.temp;
   
   if (currentTemp === null) {
     return null;
@@ -917,6 +1114,8 @@ async function fetchCurrentDataForStatus(location) {
  * Handle /status command
  */
 async function handleStatus(chatId) {
+  const units = getUnitsForUser(getUser(chatId));
+  
   // If no cached data, fetch fresh from API
   if (currentReadings.size === 0) {
     await sendMessage(chatId, '⏳ Fetching current data from API...');
@@ -930,7 +1129,7 @@ async function handleStatus(chatId) {
           readings[location.id] = reading;
         }
         // Small delay to avoid rate limiting
-        await new Promise(resolve => setTimeout(resolve, 200));
+        await sleep(200);
       } catch (err) {
         console.error(`Error fetching status for ${location.name}:`, err.message);
       }
@@ -949,16 +1148,18 @@ async function handleStatus(chatId) {
       const reading = readings[location.id];
       
       if (reading) {
-        const highInfo = reading.high !== null ? ` (High: ${reading.high}°C)` : '';
+        const highInfo = reading.high !== null ? ` (High: ${formatTemp(reading.high, units)})` : '';
         const fallbackNote = reading.isFallback ? ' ⏳' : '';
-        message += `${location.emoji} *${location.name}*: ${reading.temp}°C${highInfo}${fallbackNote}\n`;
-        message += `   └ ${reading.time} • ${reading.date}\n\n`;
+        message += `${location.emoji} *${location.name}*: ${formatTemp(reading.temp, units)}${highInfo}${fallbackNote}\n`;
+        message += `   └ ${reading.time} • ${reading.date}\n`;
+        message += formatStaleNote(location);
+        message += `${formatBracketStatus(location, reading.high)}\n`;
       } else {
         message += `${location.emoji} *${location.name}*: No data\n\n`;
       }
     }
     
-    message += `_Fetched: ${new Date().toLocaleTimeString()}_\n`;
+    message += `_Fetched: ${nowDate().toLocaleTimeString()}_\n`;
     message += `_⏳ = Data from previous day (new day data pending)_`;
     
     await sendMessage(chatId, message);
@@ -972,16 +1173,18 @@ async function handleStatus(chatId) {
     const reading = currentReadings.get(location.id);
     
     if (reading) {
-      const highInfo = reading.high !== null ? ` (High: ${reading.high}°C)` : '';
+      const highInfo = reading.high !== null ? ` (High: ${formatTemp(reading.high, units)})` : '';
       const fallbackNote = reading.isFallback ? ' ⏳' : '';
-      message += `${location.emoji} *${location.name}*: ${reading.temp}°C${highInfo}${fallbackNote}\n`;
-      message += `   └ ${reading.time} • ${reading.date}\n\n`;
+      message += `${location.emoji} *${location.name}*: ${formatTemp(reading.temp, units)}${highInfo}${fallbackNote}\n`;
+      message += `   └ ${reading.time} • ${reading.date}\n`;
+      message += formatStaleNote(location);
+      message += `${formatBracketStatus(location, reading.high)}\n`;
     } else {
       message += `${location.emoji} *${location.name}*: No data\n\n`;
     }
   }
   
-  message += `_Last updated: ${new Date().toLocaleTimeString()}_\n`;
+  message += `_Last updated: ${nowDate().toLocaleTimeString()}_\n`;
   message += `_⏳ = Data from previous day (new day data pending)_`;
   
   await sendMessage(chatId, message);
@@ -991,8 +1194,8 @@ async function handleStatus(chatId) {
  * Calculate milliseconds until next poll time
  * Polls at :00:10, :05:10, :10:10, etc. (every 5 minutes with 10 second offset)
  */
-function getMillisUntilNextPoll() {
-  const now = new Date();
+export function getMillisUntilNextPoll() {
+  const now = nowDate();
   const minutes = now.getMinutes();
   const seconds = now.getSeconds();
   const ms = now.getMilliseconds();
@@ -1017,7 +1220,7 @@ function getMillisUntilNextPoll() {
  */
 function scheduleNextPoll() {
   const msUntilNext = getMillisUntilNextPoll();
-  const nextTime = new Date(Date.now() + msUntilNext);
+  const nextTime = new Date(now() + msUntilNext);
   
   console.log(`⏳ Next poll @ ${nextTime.toLocaleTimeString()} (${Math.round(msUntilNext / 1000)}s)`);
   
@@ -1039,6 +1242,10 @@ export async function initWeatherService() {
   // Clean up old state files
   cleanupOldStateFiles();
   
+  // Apply archive retention now and once a day
+  pruneArchive();
+  setInterval(() => pruneArchive(), 24 * 60 * 60 * 1000);
+  
   // Calculate dynamic attention zones from historical data
   await initAttentionZones();
   
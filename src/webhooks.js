@@ -0,0 +1,123 @@
+/**
+ * Outbound Webhooks
+ * Delivers every alert as signed JSON to the configured webhook targets
+ *
+ * Signature: X-Signature: sha256=<hex HMAC-SHA256 of "<X-Timestamp>.<body>">
+ * Failed deliveries (network error, timeout, 5xx, 408/429) are retried with exponential backoff;
+ * other 4xx responses mean the target rejected the request, so they are not retried.
+ */
+
+import axios from 'axios';
+import crypto from 'crypto';
+import {
+  WEBHOOK_URLS,
+  WEBHOOK_SECRET,
+  WEBHOOK_MAX_ATTEMPTS,
+  WEBHOOK_RETRY_DELAY_MS,
+  WEBHOOK_TIMEOUT_MS
+} from '../config/webhooks.js';
+
+/**
+ * Build the JSON payload for an alert
+ */
+export function buildAlertPayload(alert) {
+  return {
+    type: alert.type,
+    location: {
+      id: alert.location.id,
+      name: alert.location.name,
+      timezone: alert.location.timezone
+    },
+    temp: alert.temp,
+    prevHigh: alert.prevHigh ?? null,
+    high: alert.high ?? null,
+    count: alert.count ?? null,
+    bracket: alert.bracket ?? null,
+    prevBracket: alert.prevBracket ?? null,
+    slopePerHour: alert.slope ?? null,
+    windowMinutes: alert.windowMinutes ?? null,
+    projected: alert.projected ?? null,
+    projectedTime: alert.projectedTime ?? null,
+    unit: 'C',
+    localTime: alert.time,
+    localDate: alert.date,
+    timestamp: alert.timestamp,
+    inAttentionZone: Boolean(alert.inAttentionZone),
+    expectedHigh: alert.estimate ? alert.estimate.expected : null
+  };
+}
+
+/**
+ * Sign a request body
+ */
+export function signPayload(body, timestamp, secret = WEBHOOK_SECRET) {
+  const hmac = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `sha256=${hmac}`;
+}
+
+/**
+ * Check if a failed delivery is worth retrying
+ */
+function isRetryable(err) {
+  const status = err.response?.status;
+  if (!status) return true;
+  return status >= 500 || status === 408 || status === 429;
+}
+
+/**
+ * POST a payload to one target, retrying with exponential backoff
+ * @returns {boolean} true if delivered
+ */
+export async function deliverWebhook(url, payload) {
+  const body = JSON.stringify(payload);
+  
+  for (let attempt = 1; attempt <= WEBHOOK_MAX_ATTEMPTS; attempt++) {
+    // Re-sign each attempt so the timestamp stays fresh
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    const headers = {
+      'Content-Type': 'application/json',
+      'X-Timestamp': timestamp
+    };
+    if (WEBHOOK_SECRET) {
+      headers['X-Signature'] = signPayload(body, timestamp);
+    }
+    
+    try {
+      await axios.post(url, body, { headers, timeout: WEBHOOK_TIMEOUT_MS });
+      return true;
+    } catch (err) {
+      const reason = err.response ? `HTTP ${err.response.status}` : err.message;
+      
+      if (!isRetryable(err)) {
+        console.error(`❌ Webhook ${url} rejected the alert: ${reason}`);
+        return false;
+      }
+      if (attempt === WEBHOOK_MAX_ATTEMPTS) {
+        console.error(`❌ Webhook ${url} failed after ${attempt} attempts: ${reason}`);
+        return false;
+      }
+      
+      const delay = WEBHOOK_RETRY_DELAY_MS * 2 ** (attempt - 1);
+      console.warn(`⚠️ Webhook ${url} attempt ${attempt} failed (${reason}), retrying in ${delay}ms`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+  
+  return false;
+}
+
+/**
+ * Send an alert to every configured webhook target
+ * Runs in the background so slow targets don't hold up Telegram delivery
+ */
+export function dispatchAlert(alert) {
+  if (WEBHOOK_URLS.length === 0) return;
+  
+  const payload = buildAlertPayload(alert);
+  
+  for (const url of WEBHOOK_URLS) {
+    deliverWebhook(url, payload).catch(err => {
+      console.error(`❌ Webhook ${url} error: ${err.message}`);
+    });
+  }
+}
@@ -0,0 +1,137 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { evaluateReading, createDayState, isNewObservation } from '../src/alertEngine.js';
+
+const location = { id: 'test', name: 'Test', timezone: 'UTC' };
+
+/**
+ * Feed temps through the engine, returning the final state and the alerts per reading
+ */
+function replay(temps, { inAttentionZone = false, state = createDayState() } = {}) {
+  const alertsPerReading = [];
+  
+  temps.forEach((temp, i) => {
+    const result = evaluateReading(state, {
+      temp,
+      time: '2:00 PM',
+      date: '2026-07-14',
+      timestamp: new Date(Date.UTC(2026, 6, 14, 14, i * 5)).toISOString()
+    }, { location, inAttentionZone });
+    state = result.state;
+    alertsPerReading.push(result.alerts);
+  });
+  
+  return { state, alertsPerReading, types: alertsPerReading.map(alerts => alerts.map(a => a.type)) };
+}
+
+test('first reading sets the baseline silently', () => {
+  const { state, types } = replay([24.4]);
+  
+  assert.deepEqual(types, [[]]);
+  assert.equal(state.highTemp, 24.4);
+  assert.equal(state.lastTemp, 24.4);
+  assert.equal(state.hasAlertedDrop, false);
+  assert.equal(state.history.length, 1);
+});
+
+test('a reading above the high is a new high', () => {
+  const { state, alertsPerReading } = replay([24.4, 25.1]);
+  const [alert] = alertsPerReading[1];
+  
+  assert.equal(alertsPerReading[1].length, 1);
+  assert.equal(alert.type, 'new_high');
+  assert.equal(alert.temp, 25.1);
+  assert.equal(alert.prevHigh, 24.4);
+  assert.equal(state.highTemp, 25.1);
+});
+
+test('only the first reading below the high is a drop', () => {
+  const { state, alertsPerReading, types } = replay([25, 24.5, 24]);
+  
+  assert.deepEqual(types, [[], ['drop'], []]);
+  assert.equal(alertsPerReading[1][0].high, 25);
+  assert.equal(state.hasAlertedDrop, true);
+  assert.equal(state.highTemp, 25);
+});
+
+test('repeats of the high inside the attention zone are sustained highs', () => {
+  const { state, alertsPerReading, types } = replay([24, 25, 25, 25], { inAttentionZone: true });
+  
+  assert.deepEqual(types, [[], ['new_high'], ['sustained_high'], ['sustained_high']]);
+  assert.equal(alertsPerReading[2][0].count, 2);
+  assert.equal(alertsPerReading[3][0].count, 3);
+  assert.equal(state.sustainedHighCount, 3);
+});
+
+test('repeats of the high outside the attention zone are not alerted', () => {
+  const { types } = replay([24, 25, 25, 25], { inAttentionZone: false });
+  
+  assert.deepEqual(types, [[], ['new_high'], [], []]);
+});
+
+test('no sustained highs once the temperature has dropped', () => {
+  const { types } = replay([25, 24, 25, 25], { inAttentionZone: true });
+  
+  assert.deepEqual(types, [[], ['drop'], [], []]);
+});
+
+test('NaN, null and non-numeric temps leave the state as it was', () => {
+  const { state } = replay([24, 25]);
+  
+  for (const temp of [NaN, null, undefined, 'abc']) {
+    const result = evaluateReading(state, {
+      temp,
+      time: '2:05 PM',
+      date: '2026-07-14',
+      timestamp: '2026-07-14T14:05:00.000Z'
+    }, { location, inAttentionZone: true });
+    
+    assert.equal(result.state, state);
+    assert.deepEqual(result.alerts, []);
+  }
+});
+
+test('a new high after a drop re-arms the drop alert', () => {
+  const { types, state } = replay([25, 24, 25.5, 24.8]);
+  
+  assert.deepEqual(types, [[], ['drop'], ['new_high'], ['drop']]);
+  assert.equal(state.highTemp, 25.5);
+});
+
+test('evaluation never mutates the previous state', () => {
+  const { state } = replay([24, 25, 24.5]);
+  const snapshot = structuredClone(state);
+  
+  evaluateReading(state, {
+    temp: 26,
+    time: '2:30 PM',
+    date: '2026-07-14',
+    timestamp: '2026-07-14T14:30:00.000Z'
+  }, { location, inAttentionZone: true });
+  
+  assert.deepEqual(state, snapshot);
+});
+
+test('fired alerts are logged on the returned state', () => {
+  const { state } = replay([24, 25, 24.5]);
+  
+  assert.deepEqual(state.alerts.map(a => a.type), ['new_high', 'drop']);
+});
+
+test('only new, non-fallback observations are evaluated', () => {
+  const state = evaluateReading(createDayState(), {
+    temp: 24,
+    time: '2:00 PM',
+    date: '2026-07-14',
+    timestamp: '2026-07-14T14:00:10.000Z',
+    observedAt: '2026-07-14T13:51:00Z'
+  }, { location, inAttentionZone: false }).state;
+  
+  assert.equal(isNewObservation(state, { observedAt: '2026-07-14T13:51:00Z' }), false);
+  assert.equal(isNewObservation(state, { observedAt: '2026-07-14T14:51:00Z' }), true);
+  assert.equal(isNewObservation(state, { observedAt: '2026-07-14T14:51:00Z', isFallback: true }), false);
+  assert.equal(isNewObservation(createDayState(), { isFallback: true }), false);
+  
+  // Without an observation time every poll counts
+  assert.equal(isNewObservation(state, { observedAt: null }), true);
+});
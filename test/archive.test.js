@@ -0,0 +1,26 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { useTempDataDir } from './helpers/dataDir.js';
+
+useTempDataDir('archive');
+const { archiveReading, getReadings } = await import('../src/archive.js');
+
+const reading = (ts, temp, observedAt) => ({ ts, temp, source: 'wunderground', isFallback: false, observedAt });
+
+test('repeated polls of one observation are archived once', () => {
+  assert.equal(archiveReading('nyc', reading('2026-07-14T14:55:10.000Z', 24, '2026-07-14T14:51:00Z')), true);
+  assert.equal(archiveReading('nyc', reading('2026-07-14T15:00:10.000Z', 24, '2026-07-14T14:51:00Z')), false);
+  assert.equal(archiveReading('nyc', reading('2026-07-14T15:55:10.000Z', 25, '2026-07-14T15:51:00Z')), true);
+  
+  const readings = getReadings('nyc', '2026-07-14T00:00:00Z', '2026-07-15T00:00:00Z');
+  assert.deepEqual(readings.map(r => r.ts), ['2026-07-14T14:55:10.000Z', '2026-07-14T15:55:10.000Z']);
+});
+
+test('readings without an observation time are always archived', () => {
+  assert.equal(archiveReading('chi', reading('2026-07-14T14:55:10.000Z', 24, null)), true);
+  assert.equal(archiveReading('chi', reading('2026-07-14T15:00:10.000Z', 24, null)), true);
+});
+
+test('locations are tracked separately', () => {
+  assert.equal(archiveReading('dal', reading('2026-07-14T14:55:10.000Z', 30, '2026-07-14T14:51:00Z')), true);
+});
@@ -0,0 +1,48 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { runSimulation } from '../src/simulate.js';
+
+// One simulation per file: the app modules read their environment once per process
+const scenario = JSON.parse(fs.readFileSync(new URL('./scenarios/live-vs-replay.json', import.meta.url), 'utf8'));
+
+/**
+ * Run the scenario with the pipeline's console output muted, keeping its data directory
+ */
+async function runQuietly() {
+  const { log, warn } = console;
+  console.log = console.warn = () => {};
+  try {
+    return await runSimulation(scenario, { keepDataDir: true });
+  } finally {
+    Object.assign(console, { log, warn });
+  }
+}
+
+const live = await runQuietly();
+after(() => fs.rmSync(live.dataDir, { recursive: true, force: true }));
+
+// Loaded after the simulation so they share its data directory and attention zones
+const { getAllAttentionZones } = await import('../src/weather.js');
+const { runBacktest } = await import('../src/backtest.js');
+
+const pick = ({ type, temp, time }) => ({ type, temp, time });
+
+test('replaying the archive gives the alerts live polling sent', async () => {
+  const { display, ...zone } = getAllAttentionZones().nyc;
+  const replay = await runBacktest({ locationId: 'nyc', from: '2026-07-15', to: '2026-07-15', zone });
+  const state = JSON.parse(fs.readFileSync(path.join(live.dataDir, 'nyc_2026-07-15.json'), 'utf8'));
+  
+  assert.deepEqual(replay.alerts.map(pick), state.alerts.map(pick));
+  assert.deepEqual(replay.summary, live.alerts);
+});
+
+test('fallback polls after midnight and repeat polls are not evaluated', () => {
+  const state = JSON.parse(fs.readFileSync(path.join(live.dataDir, 'nyc_2026-07-15.json'), 'utf8'));
+  
+  // Yesterday's 22°C was served until 5:51 AM; the day starts from the first real observation
+  assert.equal(state.history[0].temp, 19);
+  assert.equal(state.history.length, 10);
+  assert.deepEqual(state.alerts.filter(a => a.type === 'sustained_high').map(a => a.time), ['2:55 PM', '3:55 PM']);
+});
@@ -0,0 +1,38 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { useTempDataDir } from './helpers/dataDir.js';
+
+const dataDir = useTempDataDir('backtest');
+const { runBacktest } = await import('../src/backtest.js');
+
+/**
+ * Write archive lines for nyc, July 2026
+ */
+function writeArchive(readings) {
+  const dir = path.join(dataDir, 'archive', 'nyc');
+  fs.mkdirSync(dir, { recursive: true });
+  const lines = readings.map(([ts, temp, observedAt, isFallback = false]) =>
+    JSON.stringify({ ts, temp, source: 'wunderground', isFallback, observedAt }));
+  fs.writeFileSync(path.join(dir, '2026-07.jsonl'), lines.join('\n') + '\n');
+}
+
+test('archived replays skip fallback readings and repeat polls of one observation', async () => {
+  writeArchive([
+    // Just after midnight the provider still served yesterday's 30°C
+    ['2026-07-14T04:05:10.000Z', 30, '2026-07-13T19:51:00Z', true],
+    ['2026-07-14T14:55:10.000Z', 24, '2026-07-14T14:51:00Z'],
+    ['2026-07-14T15:00:10.000Z', 24, '2026-07-14T14:51:00Z'],
+    ['2026-07-14T15:05:10.000Z', 24, '2026-07-14T14:51:00Z'],
+    ['2026-07-14T15:55:10.000Z', 25, '2026-07-14T15:51:00Z'],
+    ['2026-07-14T16:00:10.000Z', 25, '2026-07-14T15:51:00Z'],
+    ['2026-07-14T16:55:10.000Z', 24.5, '2026-07-14T16:51:00Z']
+  ]);
+  
+  const result = await runBacktest({ locationId: 'nyc', from: '2026-07-14', to: '2026-07-14' });
+  
+  assert.equal(result.readings, 7);
+  assert.deepEqual(result.summary, { new_high: 1, drop: 1 });
+  assert.deepEqual(result.alerts.map(alert => alert.type), ['new_high', 'drop']);
+});
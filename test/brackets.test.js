@@ -0,0 +1,40 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { findBracket, getBracketLabel, validateBrackets } from '../src/brackets.js';
+
+const fahrenheit = { brackets: [80, 82, 84, 86], bracketUnit: 'F' };
+const celsius = { brackets: [28, 29, 30] };
+
+test('whole-degree brackets are labelled like settlement ranges', () => {
+  assert.deepEqual([-1, 0, 1, 2, 3].map(i => getBracketLabel(fahrenheit, i)),
+    ['< 80°F', '80–81°F', '82–83°F', '84–85°F', '≥ 86°F']);
+  assert.equal(getBracketLabel(celsius, 1), '29°C');
+  assert.equal(getBracketLabel({}, 0), null);
+});
+
+test('a reading exactly on a boundary belongs to the bracket it starts', () => {
+  assert.deepEqual(findBracket(celsius, 29), { index: 1, label: '29°C' });
+  assert.deepEqual(findBracket(celsius, 28.9), { index: 0, label: '28°C' });
+  assert.deepEqual(findBracket(celsius, 30), { index: 2, label: '≥ 30°C' });
+  assert.deepEqual(findBracket(celsius, 27.9), { index: -1, label: '< 28°C' });
+});
+
+test('°F brackets compare at whole-degree display precision', () => {
+  // 28.9°C = 84.02°F and 28.8°C = 83.84°F both display as 84°F
+  assert.equal(findBracket(fahrenheit, 28.9).label, '84–85°F');
+  assert.equal(findBracket(fahrenheit, 28.8).label, '84–85°F');
+  // 28.6°C = 83.48°F displays as 83°F
+  assert.equal(findBracket(fahrenheit, 28.6).label, '82–83°F');
+});
+
+test('markets without brackets have none', () => {
+  assert.equal(findBracket({}, 25), null);
+  assert.equal(findBracket(celsius, null), null);
+});
+
+test('bracket lists must be ascending numbers', () => {
+  assert.equal(validateBrackets([80, 82, 84]), null);
+  assert.match(validateBrackets([]), /non-empty/);
+  assert.match(validateBrackets([80, 'x']), /numbers/);
+  assert.match(validateBrackets([84, 82]), /ascending/);
+});
@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import zlib from 'zlib';
+import { renderDayChart } from '../src/chart.js';
+
+const PNG_SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+
+/**
+ * Split a PNG into its chunks: [{ type, data, crc }]
+ */
+function readChunks(png) {
+  const chunks = [];
+  let offset = PNG_SIGNATURE.length;
+  
+  while (offset < png.length) {
+    const length = png.readUInt32BE(offset);
+    chunks.push({
+      type: png.toString('ascii', offset + 4, offset + 8),
+      data: png.subarray(offset + 8, offset + 8 + length),
+      crc: png.readUInt32BE(offset + 8 + length)
+    });
+    offset += 12 + length;
+  }
+  
+  return chunks;
+}
+
+const png = renderDayChart({
+  today: [{ minutes: 540, temp: 24.4 }, { minutes: 780, temp: 27.2 }, { minutes: 960, temp: 26.1 }],
+  yesterday: [{ minutes: 600, temp: 23.9 }, { minutes: 900, temp: 25.6 }],
+  high: 27.2,
+  zone: { startMinutes: 780, endMinutes: 960 },
+  units: 'C'
+});
+
+test('the chart starts with the PNG signature', () => {
+  assert.ok(Buffer.isBuffer(png));
+  assert.deepEqual([...png.subarray(0, 8)], PNG_SIGNATURE);
+});
+
+test('IHDR comes first and gives an 800x450 8-bit RGBA image', () => {
+  assert.equal(png.toString('ascii', 12, 16), 'IHDR');
+  assert.equal(png.readUInt32BE(16), 800);
+  assert.equal(png.readUInt32BE(20), 450);
+  
+  const [ihdr] = readChunks(png);
+  assert.deepEqual([...ihdr.data.subarray(8)], [8, 6, 0, 0, 0]);
+});
+
+test('the image data inflates to one filtered scanline per row and the file ends with IEND', () => {
+  const chunks = readChunks(png);
+  assert.deepEqual(chunks.map(c => c.type), ['IHDR', 'IDAT', 'IEND']);
+  
+  const raw = zlib.inflateSync(chunks[1].data);
+  assert.equal(raw.length, 450 * (1 + 800 * 4));
+  
+  // IEND is empty, so its CRC is always the same
+  assert.equal(chunks[2].data.length, 0);
+  assert.equal(chunks[2].crc, 0xae426082);
+});
+
+test('a day with no readings still renders', () => {
+  const empty = renderDayChart({});
+  
+  assert.deepEqual([...empty.subarray(0, 8)], PNG_SIGNATURE);
+  assert.equal(empty.readUInt32BE(16), 800);
+  assert.equal(empty.readUInt32BE(20), 450);
+});
@@ -0,0 +1,77 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { estimateFinalHigh, probabilityAtLeast, formatForecastLines } from '../src/forecast.js';
+
+/**
+ * A past day at `morning`°C at 10 AM, peaking at `peak`°C at 3 PM
+ */
+const day = (morning, peak) => ({
+  hourly: [
+    { time: '8:00 AM', temp: morning - 2 },
+    { time: '10:00 AM', temp: morning },
+    { time: '3:00 PM', temp: peak },
+    { time: '6:00 PM', temp: peak - 3 }
+  ]
+});
+
+// 10:00 AM
+const NOW = 600;
+
+test('each past day\'s remaining climb is applied to today\'s temperature', () => {
+  const estimate = estimateFinalHigh([day(20, 26), day(20, 27), day(20, 25)], { currentTemp: 24, currentHigh: 24, nowMinutes: NOW });
+  
+  assert.deepEqual(estimate.samples, [30, 31, 29]);
+  assert.equal(estimate.expected, 30);
+  assert.equal(estimate.sampleDays, 3);
+});
+
+test('samples never fall below the high already reached', () => {
+  const estimate = estimateFinalHigh([day(20, 21), day(20, 21), day(20, 21)], { currentTemp: 24, currentHigh: 27, nowMinutes: NOW });
+  
+  assert.deepEqual(estimate.samples, [27, 27, 27]);
+});
+
+test('fewer than three usable days gives no estimate', () => {
+  assert.equal(estimateFinalHigh([day(20, 26), day(20, 27), { hourly: [] }], { currentTemp: 24, nowMinutes: NOW }), null);
+  assert.equal(estimateFinalHigh([day(20, 26), day(20, 27), day(20, 25)], { currentTemp: NaN, nowMinutes: NOW }), null);
+});
+
+test('the Gaussian kernel spreads each sample by half a degree', () => {
+  const estimate = { samples: [30, 30, 30], currentHigh: 24 };
+  
+  // At the sample, one and two sigma above it
+  assert.ok(Math.abs(probabilityAtLeast(estimate, 30) - 0.5) < 1e-6);
+  assert.ok(Math.abs(probabilityAtLeast(estimate, 30.5) - 0.1587) < 1e-3);
+  assert.ok(Math.abs(probabilityAtLeast(estimate, 31) - 0.0228) < 1e-3);
+  
+  // The high already reached is certain
+  assert.equal(probabilityAtLeast(estimate, 24), 1);
+  assert.equal(probabilityAtLeast(null, 30), null);
+});
+
+test('bracket probabilities are non-negative and sum to one', () => {
+  const estimate = estimateFinalHigh([day(20, 26), day(20, 27), day(20, 25), day(20, 28)], { currentTemp: 24, currentHigh: 24, nowMinutes: NOW });
+  const boundaries = [28, 29, 30, 31, 32];
+  
+  // Below the first boundary, each [low, high) bracket, and at/above the last
+  const atLeast = boundaries.map(b => probabilityAtLeast(estimate, b));
+  const brackets = [
+    1 - atLeast[0],
+    ...atLeast.slice(0, -1).map((p, i) => p - atLeast[i + 1]),
+    atLeast[atLeast.length - 1]
+  ];
+  
+  brackets.forEach(p => assert.ok(p >= 0 && p <= 1, `probability ${p} out of range`));
+  assert.ok(Math.abs(brackets.reduce((a, b) => a + b, 0) - 1) < 1e-9);
+  
+  // Samples 29-32: the middle brackets carry most of the weight
+  assert.ok(brackets[0] < 0.05);
+  assert.ok(brackets[brackets.length - 1] < 0.4);
+});
+
+test('forecast lines start at the next whole degree in the user\'s units', () => {
+  const estimate = { samples: [30, 30, 30], currentHigh: 29.4 };
+  
+  assert.deepEqual(formatForecastLines(estimate, 'C', 2), ['P(high ≥ 30°C) = 50%', 'P(high ≥ 31°C) = 2%']);
+  assert.deepEqual(formatForecastLines(null), []);
+});
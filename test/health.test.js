@@ -0,0 +1,71 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { recordFetchSuccess, recordFetchFailure, evaluateFeedHealth, getDataAgeMinutes, isDataStale, forgetFeedHealth } from '../src/health.js';
+import { setSimulatedTime, advanceClock, useRealClock } from '../src/clock.js';
+
+// Defaults: stale after 90 minutes or 3 failed fetches in a row
+const START = '2026-07-14T14:55:10.000Z';
+
+afterEach(() => {
+  forgetFeedHealth('nyc');
+  useRealClock();
+});
+
+test('an observation that stops updating goes stale once, then recovers once', () => {
+  setSimulatedTime(START);
+  recordFetchSuccess('nyc', '2026-07-14T14:51:00Z');
+  assert.equal(evaluateFeedHealth('nyc'), null);
+  
+  // 89 minutes old: still fresh
+  advanceClock(85 * 60000);
+  recordFetchSuccess('nyc', '2026-07-14T14:51:00Z');
+  assert.equal(getDataAgeMinutes('nyc'), 89);
+  assert.equal(evaluateFeedHealth('nyc'), null);
+  
+  advanceClock(5 * 60000);
+  recordFetchSuccess('nyc', '2026-07-14T14:51:00Z');
+  assert.equal(isDataStale('nyc'), true);
+  assert.deepEqual(evaluateFeedHealth('nyc'), { status: 'stale', ageMinutes: 94, failures: 0, lastError: null });
+  
+  // Still stale on later polls - no repeat notification
+  advanceClock(5 * 60000);
+  recordFetchSuccess('nyc', '2026-07-14T14:51:00Z');
+  assert.equal(evaluateFeedHealth('nyc'), null);
+  
+  advanceClock(5 * 60000);
+  recordFetchSuccess('nyc', '2026-07-14T16:51:00Z');
+  assert.equal(evaluateFeedHealth('nyc').status, 'recovered');
+  assert.equal(evaluateFeedHealth('nyc'), null);
+});
+
+test('consecutive failed fetches make a feed stale, and one success clears them', () => {
+  setSimulatedTime(START);
+  recordFetchSuccess('nyc', '2026-07-14T14:51:00Z');
+  
+  recordFetchFailure('nyc', 'timeout');
+  recordFetchFailure('nyc', 'timeout');
+  assert.equal(evaluateFeedHealth('nyc'), null);
+  
+  recordFetchFailure('nyc', 'HTTP 502');
+  assert.deepEqual(evaluateFeedHealth('nyc'), { status: 'stale', ageMinutes: 4, failures: 3, lastError: 'HTTP 502' });
+  
+  recordFetchFailure('nyc', 'HTTP 502');
+  assert.equal(evaluateFeedHealth('nyc'), null);
+  
+  recordFetchSuccess('nyc', '2026-07-14T14:51:00Z');
+  assert.deepEqual(evaluateFeedHealth('nyc'), { status: 'recovered', ageMinutes: 4, failures: 0, lastError: null });
+});
+
+test('without an observation time, age counts from when the reading last changed', () => {
+  setSimulatedTime(START);
+  recordFetchSuccess('nyc', null);
+  advanceClock(30 * 60000);
+  recordFetchSuccess('nyc', null);
+  
+  assert.equal(getDataAgeMinutes('nyc'), 30);
+});
+
+test('unknown locations have no health to report', () => {
+  assert.equal(evaluateFeedHealth('nowhere'), null);
+  assert.equal(getDataAgeMinutes('nowhere'), null);
+});
@@ -0,0 +1,24 @@
+/**
+ * Temporary data directory for tests that touch state files
+ * state.js reads DATA_DIR when first imported, so call this before importing
+ * any app module, then import them dynamically
+ */
+
+import { after } from 'node:test';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+/**
+ * Point DATA_DIR at a fresh temporary directory, removed when the file's tests finish
+ * @param {string} name - Prefix for the directory name
+ * @returns {string} The directory path
+ */
+export function useTempDataDir(name) {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), `${name}-test-`));
+  process.env.DATA_DIR = dataDir;
+  
+  after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+  
+  return dataDir;
+}
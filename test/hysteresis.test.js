@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { evaluateReading, createDayState } from '../src/alertEngine.js';
+import { getHysteresis, validateHysteresis, parseHysteresisArgs } from '../src/hysteresis.js';
+
+const location = { id: 'test', name: 'Test', timezone: 'UTC' };
+
+/**
+ * Feed temps through the engine with the given hysteresis, returning the alert types per reading
+ */
+function replay(temps, hysteresis) {
+  let state = createDayState();
+  
+  return temps.map((temp, i) => {
+    const result = evaluateReading(state, {
+      temp,
+      time: '10:00 AM',
+      date: '2026-07-14',
+      timestamp: new Date(Date.UTC(2026, 6, 14, 10, i * 5)).toISOString()
+    }, { location, inAttentionZone: false, hysteresis: getHysteresis({ ...location, ...hysteresis }) });
+    state = result.state;
+    return result.alerts.map(a => a.type);
+  });
+}
+
+test('a rise below minRise moves the high without alerting', () => {
+  assert.deepEqual(replay([24, 24.3, 24.6], { minRise: 0.5 }), [[], [], ['new_high']]);
+});
+
+test('a drop from a silently raised high alerts again', () => {
+  // 25 → drop alerted at 24.5; 25.2 is too small a rise to alert but is the new high
+  assert.deepEqual(
+    replay([24, 25, 24.5, 25.2, 24.6], { minRise: 0.5 }),
+    [[], ['new_high'], ['drop'], [], ['drop']]
+  );
+});
+
+test('a fall smaller than minDrop is not a drop', () => {
+  assert.deepEqual(replay([24, 25, 24.8, 24.6], { minDrop: 0.3 }), [[], ['new_high'], [], ['drop']]);
+});
+
+test('dropConfirmReadings holds the drop until enough readings in a row meet minDrop', () => {
+  assert.deepEqual(
+    replay([24, 25, 24.5, 24.5, 24.4], { minDrop: 0.3, dropConfirmReadings: 3 }),
+    [[], ['new_high'], [], [], ['drop']]
+  );
+});
+
+test('a reading back near the high resets the confirmation streak', () => {
+  assert.deepEqual(
+    replay([24, 25, 24.5, 24.9, 24.5, 24.5], { minDrop: 0.3, dropConfirmReadings: 2 }),
+    [[], ['new_high'], [], [], [], ['drop']]
+  );
+});
+
+test('settings are validated', () => {
+  assert.equal(validateHysteresis({ minRise: 0.5, minDrop: 0, dropConfirmReadings: 3 }), null);
+  assert.match(validateHysteresis({ minRise: -1 }), /minRise/);
+  assert.match(validateHysteresis({ dropConfirmReadings: 0 }), /dropConfirmReadings/);
+  assert.match(validateHysteresis({ dropConfirmReadings: 1.5 }), /dropConfirmReadings/);
+});
+
+test('"/sensitivity" arguments are stored as °C deltas', () => {
+  assert.deepEqual(parseHysteresisArgs('rise 0.9 drop 0.54 confirm 2', 'F'),
+    { settings: { minRise: 0.5, minDrop: 0.3, dropConfirmReadings: 2 } });
+  assert.ok(parseHysteresisArgs('rise').error);
+  assert.ok(parseHysteresisArgs('climb 1').error);
+});
+
+test('user overrides win over the market, which wins over the defaults', () => {
+  const user = { hysteresis: { minDrop: 0.2 } };
+  
+  assert.deepEqual(getHysteresis({ minRise: 0.5, minDrop: 0.4 }, user), { minRise: 0.5, minDrop: 0.2, dropConfirmReadings: 1 });
+});
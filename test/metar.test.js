@@ -0,0 +1,87 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { parseMetar, parseMetarList } from '../src/metar.js';
+
+const corpus = fs.readFileSync(new URL('./fixtures/metars.txt', import.meta.url), 'utf8');
+const REFERENCE_TIME = '2026-07-15T00:00:00Z';
+
+/**
+ * Parse the corpus report for a station
+ */
+function report(station) {
+  const line = corpus.split('\n').find(l => l.split(/\s+/).includes(station));
+  assert.ok(line, `no ${station} report in the corpus`);
+  return parseMetar(line, REFERENCE_TIME);
+}
+
+test('every report in the corpus parses', () => {
+  const reports = parseMetarList(corpus, REFERENCE_TIME);
+  
+  assert.equal(reports.length, corpus.trim().split('\n').length);
+  for (const parsed of reports) {
+    assert.match(parsed.observedAt, /^2026-07-14T\d{2}:\d{2}:00\.000Z$/);
+  }
+});
+
+test('the T-group gives tenths and takes precedence over the body', () => {
+  const parsed = report('KJFK');
+  
+  assert.equal(parsed.station, 'KJFK');
+  assert.equal(parsed.observedAt, '2026-07-14T18:51:00.000Z');
+  assert.equal(parsed.temp, 29.4);
+  assert.equal(parsed.dewpoint, 19.4);
+  assert.equal(parsed.wholeTemp, 29);
+  assert.equal(parsed.hasTenths, true);
+});
+
+test('negative T-groups (T1xxx) are below zero', () => {
+  const parsed = report('KORD');
+  
+  assert.equal(parsed.temp, -5);
+  assert.equal(parsed.dewpoint, -11.7);
+  assert.equal(parsed.wholeTemp, -5);
+  assert.equal(parsed.wholeDewpoint, -12);
+  
+  const dallas = report('KDAL');
+  assert.equal(dallas.temp, -0.6);
+  assert.equal(dallas.dewpoint, -2.8);
+});
+
+test('reports without a T-group fall back to the whole-degree body temperature', () => {
+  const london = report('EGLC');
+  assert.equal(london.temp, 24);
+  assert.equal(london.dewpoint, 14);
+  assert.equal(london.hasTenths, false);
+  
+  // Remarks present, but no T-group
+  const toronto = report('CYYZ');
+  assert.equal(toronto.temp, 26);
+  assert.equal(toronto.hasTenths, false);
+});
+
+test('a missing dewpoint (M05/) keeps the temperature', () => {
+  const parsed = report('RKSI');
+  
+  assert.equal(parsed.temp, -5);
+  assert.equal(parsed.dewpoint, null);
+  assert.equal(parsed.wholeDewpoint, null);
+});
+
+test('KT winds are read as knots, with gusts and variable direction', () => {
+  assert.deepEqual(report('KJFK').wind, { direction: 190, variable: false, speedKt: 12, gustKt: null });
+  assert.deepEqual(report('KORD').wind, { direction: 270, variable: false, speedKt: 15, gustKt: 25 });
+  assert.deepEqual(report('KSEA').wind, { direction: null, variable: true, speedKt: 3, gustKt: null });
+});
+
+test('MPS winds are converted to knots', () => {
+  assert.deepEqual(report('UUEE').wind, { direction: 180, variable: false, speedKt: 10, gustKt: null });
+  assert.deepEqual(report('ZBAA').wind, { direction: 30, variable: false, speedKt: 23, gustKt: 35 });
+  assert.equal(report('ZBAA').dewpoint, -2);
+});
+
+test('garbage is rejected', () => {
+  assert.equal(parseMetar('', REFERENCE_TIME), null);
+  assert.equal(parseMetar('NOT A METAR', REFERENCE_TIME), null);
+  assert.equal(parseMetar('KJFK 19012KT 29/19', REFERENCE_TIME), null);
+});
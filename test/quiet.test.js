@@ -0,0 +1,96 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { useTempDataDir } from './helpers/dataDir.js';
+
+useTempDataDir('quiet');
+const { parseQuietRange, parseDuration, isInQuietHours, getSuppression, suppressAlert, takeDeliverableAlerts } = await import('../src/quiet.js');
+const { addUser, getUser, updateUserQuietSettings, updateUserSnooze } = await import('../src/state.js');
+
+// 22:00-07:00 in New York (EDT, UTC-4)
+const nightOwl = { chatId: 1, timezone: 'America/New_York', quietHours: { start: '22:00', end: '07:00' } };
+const at = (local) => new Date(`${local}-04:00`);
+
+test('quiet ranges parse and reject empty or invalid windows', () => {
+  assert.deepEqual(parseQuietRange('22:00-7:00'), { start: '22:00', end: '07:00' });
+  assert.deepEqual(parseQuietRange(' 9:30 - 12:15 '), { start: '09:30', end: '12:15' });
+  assert.equal(parseQuietRange('22:00-22:00'), null);
+  assert.equal(parseQuietRange('24:00-07:00'), null);
+  assert.equal(parseQuietRange('tonight'), null);
+});
+
+test('durations parse in days, hours and minutes', () => {
+  assert.equal(parseDuration('45m'), 45 * 60000);
+  assert.equal(parseDuration('1h30m'), 90 * 60000);
+  assert.equal(parseDuration('1d'), 86400000);
+  assert.equal(parseDuration('0m'), null);
+  assert.equal(parseDuration('soon'), null);
+});
+
+test('quiet hours that wrap past midnight cover both sides of it', () => {
+  assert.equal(isInQuietHours(nightOwl, at('2026-07-14T21:59')), false);
+  assert.equal(isInQuietHours(nightOwl, at('2026-07-14T22:00')), true);
+  assert.equal(isInQuietHours(nightOwl, at('2026-07-14T23:30')), true);
+  assert.equal(isInQuietHours(nightOwl, at('2026-07-15T00:00')), true);
+  assert.equal(isInQuietHours(nightOwl, at('2026-07-15T06:59')), true);
+  assert.equal(isInQuietHours(nightOwl, at('2026-07-15T07:00')), false);
+  assert.equal(isInQuietHours(nightOwl, at('2026-07-15T12:00')), false);
+});
+
+test('quiet hours are read in the user\'s timezone', () => {
+  const londoner = { ...nightOwl, timezone: 'Europe/London' };
+  
+  // 6 PM in New York is 11 PM in London
+  assert.equal(isInQuietHours(londoner, at('2026-07-14T18:00')), true);
+  assert.equal(isInQuietHours(nightOwl, at('2026-07-14T18:00')), false);
+});
+
+test('snoozes win over quiet hours, and attention-zone breakthrough wins over both', () => {
+  const snoozed = { ...nightOwl, snoozes: { nyc: '2026-07-15T12:00:00.000Z' } };
+  
+  assert.equal(getSuppression(snoozed, 'nyc', {}, at('2026-07-14T23:00')), 'snooze');
+  assert.equal(getSuppression(snoozed, 'chi', {}, at('2026-07-14T23:00')), 'quiet');
+  assert.equal(getSuppression(snoozed, 'chi', {}, at('2026-07-14T12:00')), null);
+  
+  // Expired snoozes don't count
+  assert.equal(getSuppression(snoozed, 'nyc', {}, at('2026-07-15T09:00')), null);
+  
+  const breakthrough = { ...snoozed, zoneBreakthrough: true };
+  assert.equal(getSuppression(breakthrough, 'nyc', { inAttentionZone: true }, at('2026-07-14T23:00')), null);
+  assert.equal(getSuppression(breakthrough, 'nyc', { inAttentionZone: false }, at('2026-07-14T23:00')), 'snooze');
+});
+
+test('suppressed alerts are queued by default and discarded in drop mode', () => {
+  addUser(10, 'queue');
+  addUser(11, 'drop');
+  updateUserQuietSettings(11, { suppressMode: 'drop' });
+  
+  const entry = { locationId: 'nyc', type: 'new_high', temp: 25, time: '11:55 PM', date: '2026-07-14' };
+  suppressAlert(getUser(10), entry);
+  suppressAlert(getUser(11), entry);
+  
+  assert.deepEqual(getUser(10).queuedAlerts, [entry]);
+  assert.equal(getUser(11).queuedAlerts, undefined);
+});
+
+test('queued alerts are delivered once their market is no longer suppressed', () => {
+  addUser(20, 'catch-up');
+  updateUserQuietSettings(20, { timezone: 'America/New_York', quietHours: { start: '22:00', end: '07:00' } });
+  updateUserSnooze(20, 'chi', '2026-07-15T16:00:00.000Z');
+  
+  const nyc = { locationId: 'nyc', type: 'drop', temp: 24, high: 25, time: '11:55 PM', date: '2026-07-14' };
+  const chi = { locationId: 'chi', type: 'new_high', temp: 30, time: '1:55 AM', date: '2026-07-15' };
+  suppressAlert(getUser(20), nyc);
+  suppressAlert(getUser(20), chi);
+  
+  // Still quiet - nothing goes out
+  assert.deepEqual(takeDeliverableAlerts(getUser(20), at('2026-07-15T06:55')), []);
+  
+  // Quiet hours over, but chi is snoozed until noon New York time
+  assert.deepEqual(takeDeliverableAlerts(getUser(20), at('2026-07-15T07:00')), [nyc]);
+  assert.deepEqual(getUser(20).queuedAlerts, [chi]);
+  
+  // Taken alerts are not delivered twice
+  assert.deepEqual(takeDeliverableAlerts(getUser(20), at('2026-07-15T08:00')), []);
+  assert.deepEqual(takeDeliverableAlerts(getUser(20), at('2026-07-15T12:00')), [chi]);
+  assert.deepEqual(getUser(20).queuedAlerts, []);
+});
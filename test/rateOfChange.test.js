@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { computeSlope, projectTemp, validateRateSettings, getRateSettings } from '../src/rateOfChange.js';
+
+const END = '2026-07-14T14:00:00.000Z';
+
+/**
+ * History entries observed the given minutes before END
+ */
+function history(points) {
+  return points.map(([minutesBefore, temp]) => ({
+    temp,
+    observedAt: new Date(Date.parse(END) - minutesBefore * 60000).toISOString()
+  }));
+}
+
+test('a steady climb gives its rate in °C per hour', () => {
+  const slope = computeSlope(history([[60, 20], [45, 20.5], [30, 21], [15, 21.5], [0, 22]]), END, 60);
+  
+  assert.ok(Math.abs(slope - 2) < 1e-9);
+});
+
+test('readings before the trailing window are ignored', () => {
+  // The 90-minute-old 30°C would flip the sign if it were included
+  const slope = computeSlope(history([[90, 30], [60, 20], [30, 21], [0, 22]]), END, 60);
+  
+  assert.ok(Math.abs(slope - 2) < 1e-9);
+});
+
+test('fewer than two readings in the window gives no slope', () => {
+  assert.equal(computeSlope([], END, 60), null);
+  assert.equal(computeSlope(history([[0, 22]]), END, 60), null);
+  assert.equal(computeSlope(history([[120, 18], [0, 22]]), END, 60), null);
+});
+
+test('repeated polls of one observation count once and never divide by zero', () => {
+  const polls = history([[0, 22], [0, 22], [0, 22.5]]);
+  
+  assert.equal(computeSlope(polls, END, 60), null);
+});
+
+test('readings without an observation time fall back to their poll time', () => {
+  const polls = [
+    { temp: 20, timestamp: '2026-07-14T13:00:10.000Z' },
+    { temp: 21, timestamp: '2026-07-14T13:30:10.000Z' },
+    { temp: 22, timestamp: '2026-07-14T14:00:10.000Z' }
+  ];
+  
+  assert.ok(Math.abs(computeSlope(polls, '2026-07-14T14:00:10.000Z', 60) - 2) < 1e-9);
+});
+
+test('a window less than half covered gives no slope', () => {
+  assert.equal(computeSlope(history([[20, 20], [0, 22]]), END, 60), null);
+  assert.notEqual(computeSlope(history([[30, 20], [0, 22]]), END, 60), null);
+});
+
+test('projections run the slope forward to a later time', () => {
+  assert.equal(projectTemp(22, 2, 90), 25);
+  assert.equal(projectTemp(22, -1.5, 20), 21.5);
+  assert.equal(projectTemp(22, null, 90), null);
+  assert.equal(projectTemp(22, 2, 0), null);
+});
+
+test('settings default to off and are validated', () => {
+  assert.deepEqual(getRateSettings({}), { rateWindowMinutes: 60, rateThreshold: 0 });
+  assert.deepEqual(getRateSettings({ rateThreshold: 2 }), { rateWindowMinutes: 60, rateThreshold: 2 });
+  assert.equal(validateRateSettings({ rateWindowMinutes: 30, rateThreshold: 1.5 }), null);
+  assert.match(validateRateSettings({ rateWindowMinutes: 5 }), /rateWindowMinutes/);
+  assert.match(validateRateSettings({ rateThreshold: -1 }), /rateThreshold/);
+});
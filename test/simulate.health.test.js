@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { runSimulation } from '../src/simulate.js';
+
+// One simulation per file: the app modules read their environment once per process
+const scenario = JSON.parse(fs.readFileSync(new URL('./scenarios/stale-feed.json', import.meta.url), 'utf8'));
+process.env.ADMIN_CHAT_IDS = '9';
+
+/**
+ * Run the scenario with the pipeline's console output muted
+ */
+async function runQuietly() {
+  const { log, warn } = console;
+  console.log = console.warn = () => {};
+  try {
+    return await runSimulation(scenario);
+  } finally {
+    Object.assign(console, { log, warn });
+  }
+}
+
+const result = await runQuietly();
+const local = (message) => new Date(message.at).toLocaleTimeString('en-US', {
+  timeZone: 'America/New_York',
+  hour: 'numeric',
+  minute: '2-digit'
+});
+
+test('admins hear once when a feed goes stale and once when it recovers', () => {
+  const admin = result.messages.filter(m => m.chatId === 9);
+  
+  // The 9:51 AM observation passes 90 minutes at 11:21 AM; 1:51 PM brings a new one
+  assert.deepEqual(admin.map(m => [local(m), m.text.split('\n')[0]]), [
+    ['11:25 AM', '⚠️ *DATA FEED STALE*'],
+    ['1:55 PM', '✅ *DATA FEED RECOVERED*']
+  ]);
+  assert.match(admin[0].text, /Latest observation: 94 min ago/);
+});
+
+test('feed health messages only go to admins', () => {
+  assert.ok(!result.messages.some(m => m.chatId !== 9 && m.text.includes('DATA FEED')));
+});
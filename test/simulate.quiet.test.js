@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { runSimulation } from '../src/simulate.js';
+
+// One simulation per file: the app modules read their environment once per process
+const scenario = JSON.parse(fs.readFileSync(new URL('./scenarios/quiet-hours.json', import.meta.url), 'utf8'));
+
+/**
+ * Run the scenario with the pipeline's console output muted
+ */
+async function runQuietly() {
+  const { log, warn } = console;
+  console.log = console.warn = () => {};
+  try {
+    return await runSimulation(scenario);
+  } finally {
+    Object.assign(console, { log, warn });
+  }
+}
+
+const result = await runQuietly();
+const local = (message) => new Date(message.at).toLocaleTimeString('en-US', {
+  timeZone: 'America/New_York',
+  hour: 'numeric',
+  minute: '2-digit'
+});
+
+// Market alerts only (end-of-day summaries aren't held back by quiet hours)
+const alertsFor = (chatId) => result.messages
+  .filter(m => m.chatId === chatId && !m.text.startsWith('🌙') && !m.text.startsWith('🌅'))
+  .map(local);
+
+test('quiet hours spanning midnight hold back alerts on both sides of it', () => {
+  // Always-on user for reference: 10:55 PM high, 11:55 PM drop, 3:55 AM high, 7:55 AM high
+  assert.deepEqual(alertsFor(3), ['10:55 PM', '11:55 PM', '3:55 AM', '7:55 AM']);
+  assert.deepEqual(alertsFor(1), ['7:55 AM']);
+  assert.deepEqual(alertsFor(2), ['7:55 AM']);
+});
+
+test('queued alerts arrive as one catch-up summary when quiet hours end', () => {
+  const catchUps = result.messages.filter(m => m.text.startsWith('🌅 *CATCH-UP*'));
+  
+  assert.equal(catchUps.length, 1);
+  assert.equal(catchUps[0].chatId, 1);
+  assert.equal(local(catchUps[0]), '7:00 AM');
+  assert.match(catchUps[0].text, /3 alert\(s\) while you were away/);
+  
+  const lines = catchUps[0].text.split('\n').slice(2);
+  assert.deepEqual(lines, [
+    '🗽 New York (JFK) 📈 New high 25°C • 10:55 PM',
+    '🗽 New York (JFK) 📉 Drop to 24.5°C (high 25°C) • 11:55 PM',
+    '🗽 New York (JFK) 📈 New high 21°C • 3:55 AM'
+  ]);
+});
+
+test('users in drop mode get no catch-up', () => {
+  assert.ok(!result.messages.some(m => m.chatId === 2 && m.text.startsWith('🌅')));
+});
@@ -0,0 +1,56 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { runSimulation } from '../src/simulate.js';
+
+// One simulation per file: the app modules read their environment once per process
+const scenario = JSON.parse(fs.readFileSync(new URL('./scenarios/rollover.json', import.meta.url), 'utf8'));
+
+/**
+ * Run the scenario with the pipeline's console output muted
+ */
+async function runQuietly() {
+  const { log, warn } = console;
+  console.log = console.warn = () => {};
+  try {
+    return await runSimulation(scenario);
+  } finally {
+    Object.assign(console, { log, warn });
+  }
+}
+
+const result = await runQuietly();
+const headline = (message) => message.text.split('\n')[0];
+
+test('polls run on the live schedule across midnight', () => {
+  // 8:00 PM to 9:30 AM local, every 5 minutes
+  assert.equal(result.polls, 162);
+  assert.deepEqual(result.alerts, { drop: 2, new_high: 1 });
+});
+
+test('the end-of-day summary goes out once, on the first poll after local midnight', () => {
+  const summaries = result.messages.filter(m => m.text.startsWith('🌙 *END OF DAY*'));
+  
+  assert.equal(summaries.length, 1);
+  assert.equal(summaries[0].at, '2026-07-15T04:00:10.000Z');
+  assert.match(summaries[0].text, /• Jul 14\n/);
+  assert.match(summaries[0].text, /🔺 High: \*27\.2°C\* \(first at 8:00 PM\)/);
+  assert.match(summaries[0].text, /🔻 Low: 24\.4°C \(11:55 PM\)/);
+  assert.match(summaries[0].text, /📉 Drops: 1/);
+});
+
+test('the new day starts from its own baseline', () => {
+  const alerts = result.messages
+    .filter(m => !m.text.startsWith('🌙'))
+    .map(m => ({ at: m.at, headline: headline(m) }));
+  
+  assert.deepEqual(alerts, [
+    { at: '2026-07-15T00:55:10.000Z', headline: '📉 *TEMPERATURE DROP*' },
+    { at: '2026-07-15T07:55:10.000Z', headline: '📉 *TEMPERATURE DROP*' },
+    { at: '2026-07-15T12:55:10.000Z', headline: '📈 *NEW HIGH RECORDED*' }
+  ]);
+  
+  // Jul 15's drop and new high are measured against Jul 15's 23.9°C, not Jul 14's 27.2°C
+  assert.match(result.messages.find(m => m.at === '2026-07-15T07:55:10.000Z').text, /Day's High: 23\.9°C/);
+  assert.match(result.messages.find(m => m.at === '2026-07-15T12:55:10.000Z').text, /Previous High: 23\.9°C/);
+});
@@ -0,0 +1,53 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { runSimulation } from '../src/simulate.js';
+
+// One simulation per file: the app modules read their environment once per process
+const scenario = JSON.parse(fs.readFileSync(new URL('./scenarios/two-timezones.json', import.meta.url), 'utf8'));
+
+/**
+ * Run the scenario with the pipeline's console output muted, keeping its data directory
+ */
+async function runQuietly() {
+  const { log, warn } = console;
+  console.log = console.warn = () => {};
+  try {
+    return await runSimulation(scenario, { keepDataDir: true });
+  } finally {
+    Object.assign(console, { log, warn });
+  }
+}
+
+const result = await runQuietly();
+after(() => fs.rmSync(result.dataDir, { recursive: true, force: true }));
+
+const readState = (file) => JSON.parse(fs.readFileSync(path.join(result.dataDir, file), 'utf8'));
+
+test('each market gets one summary, on the first poll after its own local midnight', () => {
+  const summaries = result.messages
+    .filter(m => m.text.startsWith('🌙 *END OF DAY*'))
+    .map(m => ({ at: m.at, headline: m.text.split('\n')[0] }));
+  
+  // New York rolls over at 04:00 UTC and Seattle at 07:00 UTC; the user's Chicago midnight (05:00 UTC) plays no part
+  assert.deepEqual(summaries, [
+    { at: '2026-07-15T04:00:10.000Z', headline: '🌙 *END OF DAY* — 🗽 *New York (JFK)* • Jul 14' },
+    { at: '2026-07-15T07:00:10.000Z', headline: '🌙 *END OF DAY* — ☕ *Seattle* • Jul 14' }
+  ]);
+});
+
+test('each summary covers its own market\'s local day', () => {
+  const [nyc, seattle] = result.messages.filter(m => m.text.startsWith('🌙 *END OF DAY*'));
+  
+  assert.match(nyc.text, /🔺 High: \*27\.2°C\* \(first at 8:00 PM\)/);
+  assert.match(seattle.text, /🔺 High: \*22\.8°C\* \(first at 5:00 PM\)/);
+  assert.match(seattle.text, /🔻 Low: 17\.8°C \(11:55 PM\)/);
+});
+
+test('the finished days\' state files record the summary, so a restart won\'t repeat it', () => {
+  assert.equal(readState('nyc_2026-07-14.json').summarySent, true);
+  assert.equal(readState('seattle_2026-07-14.json').summarySent, true);
+  assert.equal(readState('nyc_2026-07-15.json').summarySent, undefined);
+  assert.equal(readState('seattle_2026-07-15.json').summarySent, undefined);
+});
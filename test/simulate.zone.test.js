@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { runSimulation } from '../src/simulate.js';
+
+// One simulation per file: the app modules read their environment once per process
+const scenario = JSON.parse(fs.readFileSync(new URL('./scenarios/zone-boundary.json', import.meta.url), 'utf8'));
+
+/**
+ * Run the scenario with the pipeline's console output muted
+ */
+async function runQuietly() {
+  const { log, warn } = console;
+  console.log = console.warn = () => {};
+  try {
+    return await runSimulation(scenario);
+  } finally {
+    Object.assign(console, { log, warn });
+  }
+}
+
+const result = await runQuietly();
+const local = (message) => new Date(message.at).toLocaleTimeString('en-US', {
+  timeZone: 'America/New_York',
+  hour: 'numeric',
+  minute: '2-digit'
+});
+
+test('alert counts for the day', () => {
+  assert.equal(result.polls, 78);
+  assert.deepEqual(result.alerts, { new_high: 3, sustained_high: 36, drop: 1 });
+});
+
+test('new highs use the attention-zone format only inside the zone', () => {
+  const highs = result.messages
+    .filter(m => /NEW HIGH/.test(m.text))
+    .map(m => ({ time: local(m), zone: m.text.includes('ATTENTION ZONE') }));
+  
+  assert.deepEqual(highs, [
+    { time: '11:55 AM', zone: false },
+    { time: '12:45 PM', zone: false },
+    { time: '1:30 PM', zone: true }
+  ]);
+});
+
+test('sustained highs start at the zone start and stop after its end', () => {
+  const sustained = result.messages.filter(m => m.text.includes('HIGH HOLDING STRONG'));
+  
+  // Default zone (no history): 1:00 PM through 4:00 PM inclusive
+  assert.equal(local(sustained[0]), '1:00 PM');
+  assert.equal(local(sustained[sustained.length - 1]), '4:00 PM');
+  assert.equal(sustained.length, 36);
+  
+  // 12:50 and 12:55 PM repeated the high too, but before the zone opened
+  assert.ok(!result.messages.some(m => ['12:50 PM', '12:55 PM'].includes(local(m))));
+  
+  // 4:05 PM still repeated the high, just after the zone closed
+  assert.ok(!result.messages.some(m => local(m) === '4:05 PM'));
+});
+
+test('a drop after the zone uses the regular format', () => {
+  const drop = result.messages.find(m => m.text.includes('TEMPERATURE DROP'));
+  
+  assert.equal(local(drop), '4:10 PM');
+  assert.ok(!drop.text.includes('ATTENTION ZONE'));
+});
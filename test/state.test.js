@@ -0,0 +1,41 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { useTempDataDir } from './helpers/dataDir.js';
+
+useTempDataDir('state');
+const { addUser, getUser, addUserThreshold, toggleUserMarket, isMarketEnabled, getUsersForMarket } = await import('../src/state.js');
+const { setSimulatedTime, useRealClock } = await import('../src/clock.js');
+
+test('toggling a market added after the user registered turns it off first', () => {
+  addUser(1, 'tester', ['nyc']);
+  
+  // "chi" has no entry in enabledMarkets, so it is on
+  assert.equal(isMarketEnabled(1, 'chi'), true);
+  
+  assert.equal(toggleUserMarket(1, 'chi'), false);
+  assert.equal(isMarketEnabled(1, 'chi'), false);
+  assert.deepEqual(getUsersForMarket('chi'), []);
+  
+  assert.equal(toggleUserMarket(1, 'chi'), true);
+  assert.equal(isMarketEnabled(1, 'chi'), true);
+});
+
+test('toggling a market the user already has set flips it', () => {
+  assert.equal(toggleUserMarket(1, 'nyc'), false);
+  assert.equal(toggleUserMarket(1, 'nyc'), true);
+});
+
+test('toggling for an unknown user does nothing', () => {
+  assert.equal(toggleUserMarket(999, 'nyc'), null);
+});
+
+test('registration and rule timestamps follow the simulated clock', () => {
+  setSimulatedTime('2026-07-14T12:00:00Z');
+  try {
+    addUser(2, 'simulated');
+    assert.equal(getUser(2).registeredAt, '2026-07-14T12:00:00.000Z');
+    assert.equal(addUserThreshold(2, { locationId: 'nyc', direction: 'above', temp: 30 }).createdAt, '2026-07-14T12:00:00.000Z');
+  } finally {
+    useRealClock();
+  }
+});
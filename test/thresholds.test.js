@@ -0,0 +1,78 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { useTempDataDir } from './helpers/dataDir.js';
+
+useTempDataDir('thresholds');
+const { parseThresholdArgs, buildThresholdRule, checkThresholds } = await import('../src/thresholds.js');
+const { addUser, addUserThreshold, getUserThresholds, removeUserThreshold } = await import('../src/state.js');
+
+const location = { id: 'dal', name: 'Dallas', timezone: 'America/Chicago' };
+
+addUser(1, 'tester', ['dal']);
+
+/**
+ * Store a rule for user 1 from "/alert" arguments
+ */
+function addRule(text, units = 'C') {
+  return addUserThreshold(1, buildThresholdRule(location, parseThresholdArgs(text), units));
+}
+
+/**
+ * Remove every rule user 1 has
+ */
+function clearRules() {
+  getUserThresholds(1).forEach(rule => removeUserThreshold(1, rule.id));
+}
+
+test('"/alert" arguments parse with optional units and mode', () => {
+  assert.deepEqual(parseThresholdArgs('Dallas above 95'),
+    { cityName: 'Dallas', direction: 'above', value: 95, units: null, recurring: false });
+  assert.deepEqual(parseThresholdArgs('New York below -2.5°C recurring'),
+    { cityName: 'New York', direction: 'below', value: -2.5, units: 'C', recurring: true });
+  assert.equal(parseThresholdArgs('Dallas over 95'), null);
+  assert.equal(parseThresholdArgs('above 95'), null);
+});
+
+test('levels are stored in °C whatever units they were entered in', () => {
+  const rule = buildThresholdRule(location, parseThresholdArgs('Dallas above 95F'), 'C');
+  
+  assert.equal(rule.temp, 35);
+  assert.equal(rule.units, 'F');
+});
+
+test('a one-time rule fires once and is deleted', () => {
+  clearRules();
+  addRule('Dallas above 35');
+  
+  assert.deepEqual(checkThresholds(location, 34.9), []);
+  assert.equal(checkThresholds(location, 35).length, 1);
+  assert.deepEqual(getUserThresholds(1), []);
+  assert.deepEqual(checkThresholds(location, 36), []);
+});
+
+test('a recurring rule disarms when it fires and re-arms back across the level', () => {
+  clearRules();
+  const { id } = addRule('Dallas below 20 recurring');
+  
+  assert.equal(checkThresholds(location, 19.5).length, 1);
+  assert.equal(getUserThresholds(1).find(r => r.id === id).armed, false);
+  
+  // Still below - no repeat
+  assert.deepEqual(checkThresholds(location, 19), []);
+  
+  assert.deepEqual(checkThresholds(location, 20.5), []);
+  assert.equal(getUserThresholds(1).find(r => r.id === id).armed, true);
+  assert.equal(checkThresholds(location, 20).length, 1);
+});
+
+test('fallback readings neither fire nor re-arm rules', () => {
+  clearRules();
+  addRule('Dallas above 35');
+  const { id } = addRule('Dallas below 20 recurring');
+  checkThresholds(location, 19);
+  
+  // Yesterday's 36°C would fire the one-time rule and re-arm the recurring one
+  assert.deepEqual(checkThresholds(location, 36, { isFallback: true }), []);
+  assert.equal(getUserThresholds(1).length, 2);
+  assert.equal(getUserThresholds(1).find(r => r.id === id).armed, false);
+});
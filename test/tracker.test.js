@@ -0,0 +1,120 @@
+import { test, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { setImmediate as settle } from 'timers/promises';
+import { useTempDataDir } from './helpers/dataDir.js';
+import { startMockUpstream } from '../src/simulate.js';
+
+// Stand-in weather API that counts /latest requests; its feed is filled in once the config loads
+const feeds = [];
+const server = await startMockUpstream(feeds);
+let fetches = 0;
+server.on('request', req => {
+  if (req.url.startsWith('/api/weather/latest')) fetches++;
+});
+after(() => new Promise(resolve => server.close(resolve)));
+
+// Configure before the app modules read their settings
+useTempDataDir('tracker');
+process.env.TELEGRAM_BOT_TOKEN = process.env.TELEGRAM_BOT_TOKEN || 'test';
+process.env.WEATHER_API_URL = `http://127.0.0.1:${server.address().port}/api/weather/history`;
+
+const { locations } = await import('../config/locations.js');
+const location = locations.find(l => l.id === 'nyc');
+feeds.push({ location, readings: [{ ts: Date.now(), temp: 24.4 }] });
+
+const { subscribeTracking, unsubscribeTracking, getTrackingSubscriberCount, TRACK_INTERVAL_MS } = await import('../src/tracker.js');
+
+// The tracker's setTimeout chain runs on mocked timers; the fetches stay real
+mock.timers.enable({ apis: ['setTimeout'] });
+after(() => mock.timers.reset());
+
+/**
+ * Subscriber that records every result and can be awaited for its next one
+ */
+function recorder() {
+  const results = [];
+  let waiting = null;
+  
+  return {
+    results,
+    handler: async (result) => {
+      results.push(result);
+      waiting?.();
+    },
+    next: () => new Promise(resolve => { waiting = resolve; })
+  };
+}
+
+/**
+ * Let a finished tick schedule its successor (or not)
+ */
+async function settleTick() {
+  for (let i = 0; i < 5; i++) await settle();
+}
+
+test('two subscribers share one poller and one fetch per tick', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  fetches = 0;
+  const first = recorder();
+  const second = recorder();
+  
+  subscribeTracking(location, 'a', first.handler);
+  subscribeTracking(location, 'b', second.handler);
+  assert.equal(getTrackingSubscriberCount('nyc'), 2);
+  
+  let done = second.next();
+  mock.timers.tick(0);
+  await done;
+  
+  assert.equal(fetches, 1);
+  assert.equal(first.results.length, 1);
+  assert.equal(first.results[0], second.results[0]);
+  assert.equal(first.results[0].observation.temp, 24.4);
+  
+  // The next tick is chained after the handlers finish
+  await settleTick();
+  done = second.next();
+  mock.timers.tick(TRACK_INTERVAL_MS);
+  await done;
+  
+  assert.equal(fetches, 2);
+  assert.equal(first.results.length, 2);
+  
+  // One subscriber leaving keeps the poller; the last one stops the chained timer
+  await settleTick();
+  unsubscribeTracking('nyc', 'a');
+  assert.equal(getTrackingSubscriberCount('nyc'), 1);
+  unsubscribeTracking('nyc', 'b');
+  assert.equal(getTrackingSubscriberCount('nyc'), 0);
+  
+  mock.timers.tick(TRACK_INTERVAL_MS * 10);
+  await settleTick();
+  
+  assert.equal(fetches, 2);
+  assert.equal(second.results.length, 2);
+});
+
+test('a tick whose last subscriber leaves mid-tick schedules nothing more', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  fetches = 0;
+  const leaver = recorder();
+  const handler = async (result) => {
+    unsubscribeTracking('nyc', 'leaver');
+    await leaver.handler(result);
+  };
+  
+  subscribeTracking(location, 'leaver', handler);
+  
+  const done = leaver.next();
+  mock.timers.tick(0);
+  await done;
+  await settleTick();
+  
+  assert.equal(getTrackingSubscriberCount('nyc'), 0);
+  
+  mock.timers.tick(TRACK_INTERVAL_MS * 10);
+  await settleTick();
+  
+  assert.equal(fetches, 1);
+  assert.equal(leaver.results.length, 1);
+});
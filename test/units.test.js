@@ -0,0 +1,22 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { formatTemp, formatTempChange } from '../src/units.js';
+
+test('°F changes that whole degrees would hide get one decimal', () => {
+  // 27.8°C = 82.04°F, 27.9°C = 82.22°F - both "82°F" in whole degrees
+  assert.equal(formatTemp(27.8, 'F'), '82°F');
+  assert.equal(formatTemp(27.9, 'F'), '82°F');
+  assert.deepEqual(formatTempChange(27.9, 27.8, 'F'), { current: '82.2°F', previous: '82°F', delta: '0.2°F' });
+});
+
+test('°F changes that read differently stay in whole degrees', () => {
+  assert.deepEqual(formatTempChange(28.9, 27.8, 'F'), { current: '84°F', previous: '82°F', delta: '2°F' });
+});
+
+test('°C changes keep one decimal and the delta is unsigned', () => {
+  assert.deepEqual(formatTempChange(24.1, 24.5, 'C'), { current: '24.1°C', previous: '24.5°C', delta: '0.4°C' });
+});
+
+test('missing values show as N/A', () => {
+  assert.equal(formatTempChange(24.1, null, 'F').previous, 'N/A');
+});
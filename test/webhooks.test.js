@@ -0,0 +1,120 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import crypto from 'crypto';
+
+// Configure before the module reads its settings
+process.env.WEBHOOK_SECRET = 'test-secret';
+process.env.WEBHOOK_MAX_ATTEMPTS = '3';
+process.env.WEBHOOK_RETRY_DELAY_MS = '10';
+process.env.WEBHOOK_TIMEOUT_MS = '2000';
+
+const { deliverWebhook, buildAlertPayload } = await import('../src/webhooks.js');
+
+const location = { id: 'nyc', name: 'New York (JFK)', timezone: 'America/New_York', emoji: '🗽' };
+
+// Each request the listener receives, and the statuses it will answer with (then 200)
+let requests = [];
+let responses = [];
+let server;
+let baseUrl;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ path: req.url, headers: req.headers, body });
+      res.statusCode = responses.shift() || 200;
+      res.end();
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+/**
+ * Reset the listener for a test
+ */
+function respondWith(...statuses) {
+  requests = [];
+  responses = statuses;
+}
+
+test('the payload carries the alert fields', () => {
+  const payload = buildAlertPayload({
+    type: 'new_high',
+    location,
+    temp: 24.4,
+    prevHigh: 23.9,
+    time: '2:35 PM',
+    date: '2026-07-14',
+    timestamp: '2026-07-14T18:35:10.123Z',
+    inAttentionZone: true,
+    estimate: { expected: 25.1 }
+  });
+  
+  assert.deepEqual(payload, {
+    type: 'new_high',
+    location: { id: 'nyc', name: 'New York (JFK)', timezone: 'America/New_York' },
+    temp: 24.4,
+    prevHigh: 23.9,
+    high: null,
+    count: null,
+    bracket: null,
+    prevBracket: null,
+    slopePerHour: null,
+    windowMinutes: null,
+    projected: null,
+    projectedTime: null,
+    unit: 'C',
+    localTime: '2:35 PM',
+    localDate: '2026-07-14',
+    timestamp: '2026-07-14T18:35:10.123Z',
+    inAttentionZone: true,
+    expectedHigh: 25.1
+  });
+});
+
+test('requests are signed with the shared secret', async () => {
+  respondWith(200);
+  const payload = { type: 'drop', temp: 22 };
+  
+  assert.equal(await deliverWebhook(`${baseUrl}/hook`, payload), true);
+  assert.equal(requests.length, 1);
+  
+  const [{ path, headers, body }] = requests;
+  const expected = crypto.createHmac('sha256', 'test-secret')
+    .update(`${headers['x-timestamp']}.${body}`)
+    .digest('hex');
+  
+  assert.equal(path, '/hook');
+  assert.equal(headers['content-type'], 'application/json');
+  assert.match(headers['x-timestamp'], /^\d+$/);
+  assert.equal(headers['x-signature'], `sha256=${expected}`);
+  assert.deepEqual(JSON.parse(body), payload);
+});
+
+test('a 500 is retried and the next 200 delivers', async () => {
+  respondWith(500, 200);
+  
+  assert.equal(await deliverWebhook(`${baseUrl}/hook`, { type: 'new_high' }), true);
+  assert.equal(requests.length, 2);
+  assert.equal(requests[0].body, requests[1].body);
+});
+
+test('delivery gives up after the configured attempts', async () => {
+  respondWith(503, 503, 503, 200);
+  
+  assert.equal(await deliverWebhook(`${baseUrl}/hook`, { type: 'new_high' }), false);
+  assert.equal(requests.length, 3);
+});
+
+test('a 4xx is not retried', async () => {
+  respondWith(400, 200);
+  
+  assert.equal(await deliverWebhook(`${baseUrl}/hook`, { type: 'new_high' }), false);
+  assert.equal(requests.length, 1);
+});